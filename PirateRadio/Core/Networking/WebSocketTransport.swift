@@ -369,9 +369,15 @@ actor WebSocketTransport: SessionTransport {
         guard shouldStayConnected, !isReconnecting else { return }
 
         // Check for permanent close codes that shouldn't trigger reconnection
-        // 4004 = session not found, 4009 = session full
-        if closeCode == 4004 || closeCode == 4009 {
-            let reason = closeCode == 4004 ? "Session no longer exists" : "Session is full"
+        // 4004 = session not found, 4009 = session full,
+        // 4011 = kicked (rejoin cooldown), 4014 = banned
+        let permanentReasons = [
+            4004: "Session no longer exists",
+            4009: "Session is full",
+            4011: "Removed from this station",
+            4014: "Banned from this station",
+        ]
+        if let reason = permanentReasons[closeCode] {
             print("[WebSocket] Permanent close code \(closeCode): \(reason)")
             webSocketTask = nil
             shouldStayConnected = false
@@ -6,22 +6,96 @@ import crypto from "crypto";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { createStore } from "./store.js";
+import { createMetrics } from "./metrics.js";
+import { createLogger, parseSampleRates } from "./logger.js";
+import { createPubSub } from "./pubsub.js";
+import { EventEmitter, once } from "events";
 
 // --- Configuration ---
 
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
 const JWT_EXPIRY = "24h";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // separate credential for /admin/*; unset = admin API off
+const MAX_ANNOUNCEMENT_LENGTH = 280;
 const MAX_MEMBERS = 10;
 const MAX_SESSIONS_PER_USER_PER_HOUR = 5;
 const MAX_JOIN_ATTEMPTS_PER_IP_PER_MIN = 10;
-const PING_INTERVAL_MS = 15_000;
+const MAX_JOIN_BY_ID_PER_IP_PER_MIN = 30; // higher than by code — tapping stations on the dial is ordinary browsing
+const MAX_PASSCODE_FAILURES_PER_MIN = 5; // per session and IP
+const PING_INTERVAL_MS = Number(process.env.PING_INTERVAL_MS) || 15_000;
 const PONG_TIMEOUT_MS = 5_000;
 const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
-const CODE_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+const CODE_EXPIRY_MS = Number(process.env.CODE_EXPIRY_MS) || 60 * 60 * 1000; // 1 hour
+// Live stations get a fresh code shortly before the old one lapses, with a heads-up first.
+// Both leads shrink with CODE_EXPIRY_MS so short lifetimes (tests) keep the same shape.
+const CODE_EXPIRY_WARNING_MS = Math.min(5 * 60 * 1000, CODE_EXPIRY_MS / 4);
+const CODE_ROTATION_LEAD_MS = Math.min(60 * 1000, CODE_EXPIRY_MS / 10);
+const CODE_FORMATS = ["numeric", "alphanumeric"];
+const ALPHANUMERIC_CODE_LENGTH = 8;
+const ALPHANUMERIC_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I/L
 const MAX_TRACK_DURATION_MS = 30 * 60 * 1000; // 30 minutes — clamp for timer safety
 const MAX_QUEUE_SIZE = 100;
+const MAX_PENDING_PER_MEMBER = Number(process.env.MAX_PENDING_PER_MEMBER || 0); // default per-station cap on a listener's queued tracks; 0 = none
+if (!isValidPendingCap(MAX_PENDING_PER_MEMBER)) {
+  // Every POST /sessions without its own cap would fail validation — refuse to boot instead
+  throw new Error(`MAX_PENDING_PER_MEMBER must be an integer from 0 to ${MAX_QUEUE_SIZE}`);
+}
+const MAX_PENDING_REQUESTS = 50;
+const MAX_SESSION_HISTORY = 200;
+const CLOCK_PROBE_BURST = 5; // probes sent right after connect, then one per ping interval
+const CLOCK_PROBE_SPACING_MS = 250;
+const CLOCK_PROBE_TIMEOUT_MS = 10_000;
+const CLOCK_SAMPLE_WINDOW = 16;
+const DRIFT_SAMPLE_WINDOW = 60; // drift reports kept per member
+const DRIFT_RATE_ADJUST_MS = 50; // mirrors the client SyncEngine tiers: ignore / rate adjust / hard seek
+const DRIFT_HARD_SEEK_MS = 500;
+const REPLAY_BUFFER_SIZE = 256; // sequenced broadcasts kept per session for reconnect replay
+const MIN_FREQUENCY = 88.1;
+const MAX_FREQUENCY = 107.9;
+const MAX_PLANET_MEMBERS = 30;
+const MAX_PLANET_NAME_LENGTH = 40;
+const VISIBILITIES = ["public", "planet", "private", "passcode"];
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 32;
+const PLANET_INVITE_URL = "pirate-radio://planet/join";
+const MAX_WS_PAYLOAD_BYTES = 512_000;
+const PROTOCOL_VERSION = 2; // 1 = builds from before the handshake, which send no protocol param
+const MIN_PROTOCOL_VERSION = Number(process.env.MIN_PROTOCOL_VERSION) || 1; // raise to cut off old builds
+const MAX_VOICE_CLIP_DURATION_MS = 10_500; // 10s push-to-talk + encoder slack
+const MAX_VOICE_CLIP_BYTES = 256_000; // decoded audio — base64 fan-out stays under MAX_WS_PAYLOAD_BYTES
+const MAX_VOICE_CHUNK_BYTES = 64_000;
+const VOICE_UPLOAD_TIMEOUT_MS = 30_000;
+const VOICE_CLIP_RETENTION_MS = 60_000;
+const VOICE_CLIP_RETENTION_BYTES = Number(process.env.VOICE_CLIP_RETENTION_BYTES) || 4_000_000; // base64 kept per session; oldest go first
+const MAX_VOICE_CLIPS_PER_MEMBER_PER_MIN = 10;
 const GRACE_PERIOD_MS = 5 * 60 * 1000; // 5 minutes
+const DJ_MODES = ["solo", "collaborative", "hotSeat"];
+const DJ_REQUEST_TIMEOUT_MS = Number(process.env.DJ_REQUEST_TIMEOUT_MS) || 30_000; // unanswered requestDJ is declined
+const KICK_COOLDOWN_MS = Number(process.env.KICK_COOLDOWN_MS) || 2 * 60 * 1000; // a kicked member can't rejoin until this passes
+const DEFAULT_HOT_SEAT_SONGS = 3;
+const MAX_HOT_SEAT_SONGS = 20;
+const STORE_BACKEND = process.env.STORE_BACKEND || "memory"; // "memory" | "file"
+const STORE_PATH = process.env.STORE_PATH || "./data/pirate-radio.json";
+const LOG_LEVEL = process.env.LOG_LEVEL || "info"; // debug | info | warn | error | silent
+const LOG_FORMAT = process.env.LOG_FORMAT || "text"; // text | json
+const LOG_SAMPLE = process.env.LOG_SAMPLE ?? "ping=0.01,driftReport=0.05,clockProbeReply=0.05,voiceClipChunk=0.1";
+const LOG_REDACT = process.env.LOG_REDACT !== "false"; // mask tokens and display names
+const PUBSUB_BACKEND = process.env.PUBSUB_BACKEND || "local"; // "local" | "redis"
+const REDIS_URL = process.env.REDIS_URL || null;
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10_000; // SIGTERM → exit, at most; keep under fly.toml kill_timeout
+const RESTART_RECONNECT_AFTER_MS = 3_000; // hint in serverRestarting — long enough for the replacement to boot
+const INSTANCE_ID = process.env.FLY_MACHINE_ID || process.env.INSTANCE_ID || crypto.randomBytes(4).toString("hex");
+const DIRECTORY_TTL_MS = 3 * PING_INTERVAL_MS; // owners re-announce every ping, so a crashed owner's entries lapse
+const OWNER_SILENCE_MS = PING_INTERVAL_MS + PONG_TIMEOUT_MS; // a relayed socket hears its owner's ping at least this often
+
+const log = createLogger({
+  level: LOG_LEVEL,
+  format: LOG_FORMAT,
+  sampleRates: parseSampleRates(LOG_SAMPLE),
+  redact: LOG_REDACT ? undefined : false,
+});
 
 // --- In-Memory State ---
 
@@ -31,38 +105,119 @@ const sessions = new Map();
 /** @type {Map<string, string>} joinCode → sessionId */
 const codeIndex = new Map();
 
+/** Set once SIGTERM arrives: refuse new work and let the drain run */
+let shuttingDown = false;
+
 /** @type {Map<string, number[]>} userId → creation timestamps */
 const sessionCreationLog = new Map();
 
 /** @type {Map<string, number[]>} ip → attempt timestamps */
 const joinAttemptLog = new Map();
 
+/** @type {Map<string, number[]>} ip → join-by-id timestamps */
+const joinByIdAttemptLog = new Map();
+
+/** @type {Map<string, number[]>} sessionId:ip → wrong passcode timestamps */
+const passcodeFailureLog = new Map();
+
+/** @type {Map<string, number[]>} sessionId:userId → voice clip timestamps */
+const voiceClipLog = new Map();
+
 /** @type {Map<string, {displayName: string, frequency: number}>} userId → user info */
 const userRegistry = new Map();
 
-let nextFrequency = 88.1;
+/** Durable backing store — written through on every persisted mutation, read once on boot */
+const store = createStore({ backend: STORE_BACKEND, path: STORE_PATH, log });
+
+/** Session directory and cross-instance relay channels — see "Multi-Instance" below */
+const bus = createPubSub({ backend: PUBSUB_BACKEND, url: REDIS_URL, log });
+
+/** Prometheus metrics, rendered at GET /metrics */
+const metrics = createMetrics("pirate_radio_");
+metrics.gauge("sessions_active", "Sessions currently in memory", () => sessions.size);
+metrics.gauge("members_connected", "WebSocket members across all sessions",
+  () => [...sessions.values()].reduce((sum, s) => sum + s.members.size, 0));
+const meters = {
+  messagesReceived: metrics.counter("ws_messages_received_total", "Inbound WebSocket messages by type", ["type"]),
+  broadcastFanout: metrics.histogram("broadcast_fanout", "Recipients per session broadcast", [0, 1, 2, 5, 10]),
+  broadcastSeconds: metrics.histogram("broadcast_duration_seconds", "Time to serialize and send one broadcast",
+    [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05]),
+  queueAdvancements: metrics.counter("queue_advancements_total", "Server-side queue advancements when a track ran out"),
+  djPromotions: metrics.counter("dj_promotions_total", "DJ handoffs the server made on its own", ["reason"]),
+  sessionDestroys: metrics.counter("session_destroys_total", "Sessions torn down", ["reason"]),
+  rateLimitRejections: metrics.counter("rate_limit_rejections_total", "Requests refused with 429", ["route"]),
+  wsCloses: metrics.counter("ws_closes_total", "WebSocket connections closed, by close code", ["code"]),
+};
+
+/** @type {Map<string, Planet>} planetId → Planet */
+const planets = new Map();
+
+/** @type {Map<string, string>} inviteToken → planetId */
+const planetInviteIndex = new Map();
+
+let nextFrequency = MIN_FREQUENCY;
 
-function assignFrequency() {
-  // Find next available frequency (skip taken ones)
-  const taken = new Set([...userRegistry.values()].map((u) => u.frequency));
-  let freq = nextFrequency;
+/**
+ * First free frequency at or after `start`, stepping 0.2 MHz and wrapping
+ * around the FM band. `taken` holds the frequencies already in use within
+ * one dial — the public Discover dial or a single planet.
+ */
+function assignFrequency(taken, start = MIN_FREQUENCY) {
+  let freq = start;
   let attempts = 0;
   while (taken.has(freq) && attempts < 200) {
-    freq = Math.round((freq + 0.2) * 10) / 10;
-    if (freq > 107.9) freq = 88.1;
+    freq = stepFrequency(freq);
     attempts++;
   }
-  nextFrequency = Math.round((freq + 0.2) * 10) / 10;
-  if (nextFrequency > 107.9) nextFrequency = 88.1;
   return freq;
 }
 
+function stepFrequency(freq) {
+  const next = Math.round((freq + 0.2) * 10) / 10;
+  return next > MAX_FREQUENCY ? MIN_FREQUENCY : next;
+}
+
+/** Dial frequencies sit on odd tenths (88.1, 88.3 … 107.9) */
+function isValidFrequency(freq) {
+  if (typeof freq !== "number" || freq < MIN_FREQUENCY || freq > MAX_FREQUENCY) return false;
+  const tenths = freq * 10;
+  return Math.abs(tenths - Math.round(tenths)) < 1e-9 && Math.round(tenths) % 2 === 1;
+}
+
+/** Discover-dial frequency for a newly registered user — rotates through the band */
+function assignDiscoverFrequency() {
+  const taken = new Set([...userRegistry.values()].map((u) => u.frequency));
+  const freq = assignFrequency(taken, nextFrequency);
+  nextFrequency = stepFrequency(freq);
+  return freq;
+}
+
+/**
+ * @typedef {Object} Planet
+ * @property {string} id
+ * @property {string} name
+ * @property {string} ownerId
+ * @property {number} createdAt
+ * @property {string} inviteToken
+ * @property {Object<string, {frequency: number, joinedAt: number}>} members - userId → planet membership
+ */
+
 /**
  * @typedef {Object} Session
  * @property {string} id
  * @property {string} joinCode
  * @property {string} creatorId
  * @property {string} djUserId
+ * @property {string|null} planetId - planet the station broadcasts on; null = public Discover station
+ * @property {"solo"|"collaborative"|"hotSeat"} djMode
+ * @property {number} hotSeatSongsPerDJ - songs each DJ gets in Hot Seat mode
+ * @property {number} hotSeatSongsRemaining - songs left before the DJ role rotates
+ * @property {string[]} rotationOrder - userIds in first-join order, for fair Hot Seat rotation
+ * @property {Object<string, "coDJ"|"moderator">} roles - userId → assigned role; everyone else listens, djUserId is the DJ
+ * @property {Object<string, {bannedBy: string, bannedAt: number}>} bans - userId → ban, for the session's lifetime
+ * @property {"public"|"planet"|"private"|"passcode"} visibility - who sees the station on a dial and who may walk in
+ * @property {string|null} passcodeHash - salted sha256 of the passcode while visibility is "passcode"
+ * @property {string[]} admitted - userIds who got in once; they keep access when visibility tightens
  * @property {Map<string, MemberConnection>} members
  * @property {number} epoch
  * @property {number} sequence
@@ -70,11 +225,110 @@ function assignFrequency() {
  * @property {boolean} isPlaying
  * @property {number} positionMs - NTP-anchored position
  * @property {number} positionTimestamp - NTP time when position was recorded
- * @property {Array} queue
+ * @property {Array} queue - entries carry nonce, addedBy, addedAt, votes and voters
+ * @property {boolean} fairQueue - interleave upcoming tracks round-robin by addedBy
+ * @property {number} maxPendingPerMember - cap on a listener's queued tracks; 0 = no cap
+ * @property {Array} pendingRequests - listener song requests awaiting the DJ's accept/decline
+ * @property {PlayRecord|null} currentPlay - open history record for currentTrack
+ * @property {Array<HistoryEntry>} history - finished plays, oldest first
+ * @property {SessionStats} stats - running totals behind GET /sessions/:id/recap
+ * @property {number} createdAt
+ * @property {number} djSince - when the current DJ took over, for DJ-minutes accounting
+ * @property {Array<BufferedBroadcast>} replayBuffer - recent sequenced broadcasts, oldest first
+ * @property {Map<string, Array<DriftSample>>} drift - userId → recent drift reports, newest last
+ * @property {Map<string, VoiceUpload>} voiceUploads - clipId → in-flight chunked upload
+ * @property {Array<VoiceClip>} voiceClips - recently relayed clips, kept for VOICE_CLIP_RETENTION_MS within VOICE_CLIP_RETENTION_BYTES
  * @property {number} lastActivity
  * @property {number} codeCreatedAt
+ * @property {"numeric"|"alphanumeric"} codeFormat - 4 digits, or 8 characters for big public events
+ * @property {boolean} codeExpiryWarned - joinCodeExpiring already sent for the current code
+ * @property {NodeJS.Timeout|null} codeTimer - next expiry warning or automatic rotation
  * @property {NodeJS.Timeout|null} advancementTimer - server-side queue advancement timer
  * @property {NodeJS.Timeout|null} destroyTimeout - grace period before destroying memberless sessions
+ * @property {DJRequest|null} djRequest - a listener asking for the aux, awaiting the DJ's answer
+ * @property {Map<string, number>} kickedUntil - userId → end of their rejoin cooldown after a kick
+ */
+
+/**
+ * @typedef {Object} DJRequest
+ * @property {string} userId - who wants to DJ
+ * @property {string} djUserId - the DJ who was asked
+ * @property {number} requestedAt
+ * @property {number} expiresAt
+ * @property {NodeJS.Timeout} timer - declines the request at expiresAt
+ */
+
+/**
+ * @typedef {Object} BufferedBroadcast
+ * @property {number} epoch
+ * @property {number} seq
+ * @property {string} payload - the message as sent; later in-place edits to queue arrays and the like don't reach it
+ * @property {string|null} excludeUserId
+ */
+
+/**
+ * @typedef {Object} PlayRecord
+ * @property {Object} track
+ * @property {string} addedBy
+ * @property {string} djUserId - DJ when the track started
+ * @property {number} startedAt
+ * @property {number} playedMs - wall-clock time spent playing, excluding pauses
+ * @property {number|null} resumedAt - when the current playing stretch began, null while paused
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} sessionId
+ * @property {string} trackId
+ * @property {Object} track
+ * @property {string} addedBy
+ * @property {string} djUserId
+ * @property {number} startedAt
+ * @property {number} endedAt
+ * @property {number} playedMs
+ * @property {boolean} skipped
+ * @property {boolean} interrupted - the session ended mid-track; playedMs is how far it got
+ * @property {string} visibility - the session's visibility at the time; absent on entries from before visibility
+ */
+
+/**
+ * @typedef {Object} SessionStats
+ * @property {number} listeningMs - total time music was playing
+ * @property {number} tracksPlayed
+ * @property {number} skips
+ * @property {number} peakListeners
+ * @property {Object<string, number>} tracksAdded - userId → tracks added to the queue
+ * @property {Object<string, number>} djMs - userId → time spent as DJ
+ * @property {Object<string, number>} votesCast - userId → net Collab Queue votes
+ */
+
+/**
+ * @typedef {Object} DriftSample
+ * @property {string} trackId
+ * @property {number} driftMs - reported position minus the session's expected position (+ = ahead)
+ * @property {"none"|"rate"|"seek"} correction - tier the client's SyncEngine will apply
+ * @property {number} at
+ */
+
+/**
+ * @typedef {Object} VoiceUpload
+ * @property {string} senderId
+ * @property {number} durationMs
+ * @property {string} mimeType
+ * @property {Buffer[]} chunks
+ * @property {number} bytes
+ * @property {number} startedAt
+ */
+
+/**
+ * @typedef {Object} VoiceClip
+ * @property {string} clipId
+ * @property {string} senderId
+ * @property {string} senderName
+ * @property {number} durationMs
+ * @property {string} mimeType
+ * @property {string} data - base64 audio
+ * @property {number} createdAt
  */
 
 /**
@@ -84,6 +338,32 @@ function assignFrequency() {
  * @property {import('ws').WebSocket} ws
  * @property {boolean} alive
  * @property {number} joinedAt
+ * @property {ClockState} clock - server-measured RTT/offset for this device
+ * @property {ProtocolState} protocol - what this client negotiated at upgrade
+ */
+
+/**
+ * @typedef {Object} ProtocolState
+ * @property {number} version
+ * @property {Set<string>} capabilities - negotiated subset of CAPABILITIES
+ */
+
+/**
+ * @typedef {Object} ClockState
+ * @property {number} nextProbeId
+ * @property {Map<number, number>} pending - probeId → server send time
+ * @property {Array<{rttMs: number, offsetMs: number, at: number}>} samples - newest last
+ * @property {ClockEstimate|null} estimate
+ */
+
+/**
+ * @typedef {Object} ClockEstimate
+ * @property {number} rttMs - median round trip
+ * @property {number} rttMinMs
+ * @property {number} offsetMs - client clock minus server clock
+ * @property {number} jitterMs - standard deviation of RTT
+ * @property {number} samples
+ * @property {number} updatedAt
  */
 
 // --- Express App ---
@@ -100,13 +380,31 @@ app.use((req, res, next) => {
   next();
 });
 
+// Draining for a restart — health checks fail too, so the proxy stops routing here
+app.use((_req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set("Retry-After", String(Math.ceil(RESTART_RECONNECT_AFTER_MS / 1000)));
+  res.status(503).json({ error: "Server is restarting", reconnectAfterMs: RESTART_RECONNECT_AFTER_MS });
+});
+
 // Health check
 app.get("/health", (_req, res) => {
-  res.json({ status: "ok", sessions: sessions.size });
+  res.json({
+    status: "ok",
+    sessions: sessions.size,
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    capabilities: Object.keys(CAPABILITIES),
+  });
 });
 
-// Admin: list all sessions (no auth — monitoring only, no secrets exposed)
-app.get("/admin/sessions", (_req, res) => {
+// Prometheus scrape target — counts only, nothing session-identifying
+app.get("/metrics", (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Admin: list all sessions with join codes, members and queues
+app.get("/admin/sessions", authenticateAdmin, (_req, res) => {
   const result = [];
   for (const session of sessions.values()) {
     result.push({
@@ -114,11 +412,14 @@ app.get("/admin/sessions", (_req, res) => {
       joinCode: session.joinCode,
       creatorId: session.creatorId,
       djUserId: session.djUserId,
+      djMode: session.djMode,
       members: Array.from(session.members.values()).map((m) => ({
         userId: m.userId,
         displayName: m.displayName,
+        role: roleOf(session, m.userId),
         joinedAt: m.joinedAt,
         alive: m.alive,
+        clock: m.clock.estimate,
       })),
       epoch: session.epoch,
       sequence: session.sequence,
@@ -127,6 +428,7 @@ app.get("/admin/sessions", (_req, res) => {
       positionMs: session.positionMs,
       positionTimestamp: session.positionTimestamp,
       queue: session.queue,
+      pendingRequests: session.pendingRequests,
       lastActivity: session.lastActivity,
       codeCreatedAt: session.codeCreatedAt,
     });
@@ -134,6 +436,95 @@ app.get("/admin/sessions", (_req, res) => {
   res.json({ sessions: result, serverTime: Date.now() });
 });
 
+// Admin: drift telemetry and sync quality for one session
+app.get("/admin/sessions/:id/sync", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json(sessionSyncReport(session));
+});
+
+// Admin moderation: end a session for everyone
+app.post("/admin/sessions/:id/destroy", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  log.info("admin:destroy", { sessionId: session.id, members: session.members.size });
+  destroySession(session.id, "admin");
+  for (const member of session.members.values()) {
+    member.ws.close(4012, "Session ended by moderator");
+  }
+  res.json({ destroyed: true, sessionId: session.id });
+});
+
+// Admin moderation: disconnect one member
+app.post("/admin/sessions/:id/kick", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  const member = session.members.get(req.body?.userId);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+
+  log.info("admin:kick", { sessionId: session.id, userId: member.userId });
+  session.kickedUntil.set(member.userId, Date.now() + KICK_COOLDOWN_MS);
+  member.ws.close(4011, "Removed by moderator");
+  res.json({ kicked: true, userId: member.userId });
+});
+
+// Admin moderation: retire a leaked join code
+app.post("/admin/sessions/:id/regenerate-code", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  const previousCode = session.joinCode;
+  regenerateJoinCode(session);
+  log.info("admin:code", { sessionId: session.id, previousJoinCode: previousCode, joinCode: session.joinCode });
+  res.json({ sessionId: session.id, joinCode: session.joinCode });
+});
+
+// Admin moderation: pause playback on a station
+app.post("/admin/sessions/:id/pause", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  if (!session.isPlaying) {
+    return res.status(409).json({ error: "Station is not playing" });
+  }
+
+  log.info("admin:pause", { sessionId: session.id });
+  pauseSession(session);
+  res.json({ paused: true, positionMs: session.positionMs });
+});
+
+// Admin moderation: push a server announcement to everyone in a session
+app.post("/admin/sessions/:id/announce", authenticateAdmin, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+  if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+    return res.status(400).json({ error: `message required (max ${MAX_ANNOUNCEMENT_LENGTH} characters)` });
+  }
+
+  log.info("admin:announce", { sessionId: session.id, length: message.length });
+  broadcastToSession(session, {
+    type: "announcement",
+    data: { message, from: "server" },
+    timestamp: Date.now(),
+  });
+  res.json({ announced: true, recipients: session.members.size });
+});
+
 // Monitor dashboard
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const monitorHTML = readFileSync(join(__dirname, "monitor.html"), "utf-8");
@@ -144,7 +535,7 @@ app.get("/monitor", (_req, res) => {
 // Authenticate: client sends Spotify user info, gets a JWT
 app.post("/auth", (req, res) => {
   const { spotifyUserId, displayName } = req.body;
-  console.log(`[auth] ${displayName || spotifyUserId}`);
+  log.debug("auth", { userId: spotifyUserId, displayName });
   if (!spotifyUserId || typeof spotifyUserId !== "string") {
     return res.status(400).json({ error: "spotifyUserId required" });
   }
@@ -153,12 +544,13 @@ app.post("/auth", (req, res) => {
   if (!userRegistry.has(spotifyUserId)) {
     userRegistry.set(spotifyUserId, {
       displayName: displayName || spotifyUserId,
-      frequency: assignFrequency(),
+      frequency: assignDiscoverFrequency(),
     });
-    console.log(`[auth] registered ${displayName || spotifyUserId} at ${userRegistry.get(spotifyUserId).frequency} MHz`);
+    log.info("auth:register", { userId: spotifyUserId, displayName, frequency: userRegistry.get(spotifyUserId).frequency });
   } else {
     userRegistry.get(spotifyUserId).displayName = displayName || spotifyUserId;
   }
+  persistUser(spotifyUserId);
 
   const token = jwt.sign(
     { sub: spotifyUserId, name: displayName || spotifyUserId },
@@ -171,46 +563,93 @@ app.post("/auth", (req, res) => {
 // Create session
 app.post("/sessions", authenticateHTTP, (req, res) => {
   const userId = req.user.sub;
+  const djMode = req.body?.djMode ?? "solo";
+  const hotSeatSongsPerDJ = req.body?.hotSeatSongsPerDJ ?? DEFAULT_HOT_SEAT_SONGS;
+
+  if (!DJ_MODES.includes(djMode)) {
+    return res.status(400).json({ error: `djMode must be one of ${DJ_MODES.join(", ")}` });
+  }
+  if (!isValidHotSeatSongs(hotSeatSongsPerDJ)) {
+    return res.status(400).json({ error: `hotSeatSongsPerDJ must be an integer from 1 to ${MAX_HOT_SEAT_SONGS}` });
+  }
+
+  const planetId = req.body?.planetId ?? null;
+  if (planetId !== null) {
+    const planet = planets.get(planetId);
+    if (!planet) return res.status(404).json({ error: "Planet not found" });
+    if (!planet.members[userId]) return res.status(403).json({ error: "Not a member of this planet" });
+  }
+
+  const visibility = req.body?.visibility ?? "public";
+  const passcode = req.body?.passcode ?? null;
+  const visibilityProblem = checkVisibility(visibility, passcode, planetId);
+  if (visibilityProblem) return res.status(400).json({ error: visibilityProblem });
+
+  const codeFormat = req.body?.codeFormat ?? "numeric";
+  if (!CODE_FORMATS.includes(codeFormat)) {
+    return res.status(400).json({ error: `codeFormat must be one of ${CODE_FORMATS.join(", ")}` });
+  }
+
+  const fairQueue = req.body?.fairQueue ?? false;
+  const maxPendingPerMember = req.body?.maxPendingPerMember ?? MAX_PENDING_PER_MEMBER;
+  if (typeof fairQueue !== "boolean") return res.status(400).json({ error: "fairQueue must be a boolean" });
+  if (!isValidPendingCap(maxPendingPerMember)) {
+    return res.status(400).json({ error: `maxPendingPerMember must be an integer from 0 to ${MAX_QUEUE_SIZE}` });
+  }
 
   // Rate limit: 5 sessions/user/hour
   if (!checkRateLimit(sessionCreationLog, userId, MAX_SESSIONS_PER_USER_PER_HOUR, 60 * 60 * 1000)) {
+    meters.rateLimitRejections.inc({ route: "/sessions" });
     return res.status(429).json({ error: "Too many sessions created. Try again later." });
   }
 
-  const session = createSession(userId);
+  const session = createSession(userId, {
+    djMode, hotSeatSongsPerDJ, planetId, visibility, passcode, codeFormat, fairQueue, maxPendingPerMember,
+  });
   recordRateLimit(sessionCreationLog, userId);
-  console.log(`[session:create] id=${session.id} code=${session.joinCode} dj=${userId}`);
+  log.info("session:create", { sessionId: session.id, joinCode: session.joinCode, djUserId: userId, djMode });
 
   res.status(201).json({
     id: session.id,
     joinCode: session.joinCode,
     creatorId: session.creatorId,
     djUserId: session.djUserId,
+    djMode: session.djMode,
+    hotSeatSongsPerDJ: session.hotSeatSongsPerDJ,
+    planetId: session.planetId,
+    visibility: session.visibility,
+    codeExpiresAt: codeExpiresAt(session),
+    fairQueue: session.fairQueue,
+    maxPendingPerMember: session.maxPendingPerMember,
   });
 });
 
 // Join session (validate code)
-app.post("/sessions/join", authenticateHTTP, (req, res) => {
+app.post("/sessions/join", authenticateHTTP, async (req, res) => {
   const ip = req.ip || req.socket.remoteAddress;
-  const { code } = req.body;
+  const { code: rawCode } = req.body;
 
   // Rate limit: 10 join attempts/IP/min
   if (!checkRateLimit(joinAttemptLog, ip, MAX_JOIN_ATTEMPTS_PER_IP_PER_MIN, 60 * 1000)) {
+    meters.rateLimitRejections.inc({ route: "/sessions/join" });
     return res.status(429).json({ error: "Too many join attempts. Try again later." });
   }
   recordRateLimit(joinAttemptLog, ip);
 
-  if (!code || typeof code !== "string") {
+  if (!rawCode || typeof rawCode !== "string") {
     return res.status(400).json({ error: "code required" });
   }
+  const code = rawCode.trim().toUpperCase(); // alphanumeric codes are case-insensitive
 
-  const sessionId = codeIndex.get(code);
+  const sessionId = codeIndex.get(code) ?? await directoryGet(`code:${code}`);
   if (!sessionId) {
     return res.status(404).json({ error: "Session not found" });
   }
 
   const session = sessions.get(sessionId);
   if (!session) {
+    const owner = await remoteOwner(sessionId);
+    if (owner) return replayToOwner(res, owner);
     codeIndex.delete(code);
     return res.status(404).json({ error: "Session not found" });
   }
@@ -220,12 +659,22 @@ app.post("/sessions/join", authenticateHTTP, (req, res) => {
     return res.status(410).json({ error: "Join code expired" });
   }
 
+  if (isBanned(session, req.user.sub)) {
+    return res.status(403).json({ error: "You've been banned from this station" });
+  }
+  if (kickCoolingDown(session, req.user.sub)) {
+    return res.status(403).json({ error: "You were just removed from this station. Try again later." });
+  }
+
+  if (refuseAdmission(req, res, session, true)) return;
+
   if (session.members.size >= MAX_MEMBERS) {
     return res.status(409).json({ error: "Session is full" });
   }
 
+  admit(session, req.user.sub);
   const djMember = session.members.get(session.djUserId);
-  console.log(`[session:join] code=${code} session=${session.id} dj=${djMember?.displayName || session.djUserId} members=${session.members.size}`);
+  log.info("session:join", { sessionId: session.id, joinCode: code, userId: req.user.sub, members: session.members.size });
   res.json({
     id: session.id,
     joinCode: session.joinCode,
@@ -236,53 +685,231 @@ app.post("/sessions/join", authenticateHTTP, (req, res) => {
 });
 
 // Get session snapshot (for reconnection / join-mid-song)
-app.get("/sessions/:id", authenticateHTTP, (req, res) => {
+app.get("/sessions/:id", authenticateHTTP, async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    const owner = await remoteOwner(req.params.id);
+    if (owner) return replayToOwner(res, owner);
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  res.json(sessionSnapshot(session, req.user.sub));
+});
+
+// Play history for a live session, newest first
+app.get("/sessions/:id/history", authenticateHTTP, (req, res) => {
   const session = sessions.get(req.params.id);
   if (!session) {
     return res.status(404).json({ error: "Session not found" });
   }
 
-  res.json(sessionSnapshot(session));
+  res.json({ sessionId: session.id, history: session.history.slice().reverse() });
 });
 
-// List live stations (for dial home)
-app.get("/stations", authenticateHTTP, (_req, res) => {
+// List live stations (for dial home). Without ?planet this is the public
+// Discover dial; with ?planet=<id> it is that planet's dial, members only.
+app.get("/stations", authenticateHTTP, (req, res) => {
+  const planetId = req.query.planet || null;
+  let planet = null;
+  if (planetId) {
+    planet = planets.get(planetId);
+    if (!planet) return res.status(404).json({ error: "Planet not found" });
+    if (!planet.members[req.user.sub]) return res.status(403).json({ error: "Not a member of this planet" });
+  }
+
   const stations = [];
   for (const session of sessions.values()) {
     if (!session.isPlaying && session.queue.length === 0) continue;
+    if ((session.planetId || null) !== planetId) continue;
+    if (session.visibility === "private") continue; // code-only — never on a dial
 
     const user = userRegistry.get(session.creatorId);
     if (!user) continue;
+    const frequency = planet ? planet.members[session.creatorId]?.frequency : user.frequency;
+    if (frequency === undefined) continue; // owner has left the planet
 
     stations.push({
       userId: session.creatorId,
       displayName: user.displayName,
-      frequency: user.frequency,
+      frequency,
       sessionId: session.id,
+      planetId: session.planetId,
+      visibility: session.visibility, // "passcode" stations show a lock on the dial
       currentTrack: session.currentTrack,
     });
   }
-  res.json({ stations });
+  res.json({ planetId, stations });
+});
+
+// --- Planets ---
+
+// Create a planet; the creator joins it at their chosen (or the first free) frequency
+app.post("/planets", authenticateHTTP, (req, res) => {
+  const userId = req.user.sub;
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+  const frequency = req.body?.frequency;
+
+  if (!name || name.length > MAX_PLANET_NAME_LENGTH) {
+    return res.status(400).json({ error: `name must be 1-${MAX_PLANET_NAME_LENGTH} characters` });
+  }
+  if (frequency !== undefined && !isValidFrequency(frequency)) {
+    return res.status(400).json({ error: "frequency must be an odd tenth between 88.1 and 107.9" });
+  }
+
+  const planet = createPlanet(userId, name, frequency);
+  log.info("planet:create", { planetId: planet.id, ownerId: userId });
+  res.status(201).json(planetView(planet, userId));
+});
+
+// Planets the caller belongs to
+app.get("/planets", authenticateHTTP, (req, res) => {
+  const userId = req.user.sub;
+  const result = [];
+  for (const planet of planets.values()) {
+    if (planet.members[userId]) result.push(planetView(planet, userId));
+  }
+  res.json({ planets: result });
+});
+
+// Join via invite token, optionally picking a frequency
+app.post("/planets/join", authenticateHTTP, (req, res) => {
+  const userId = req.user.sub;
+  const { token, frequency } = req.body;
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({ error: "token required" });
+  }
+  if (frequency !== undefined && !isValidFrequency(frequency)) {
+    return res.status(400).json({ error: "frequency must be an odd tenth between 88.1 and 107.9" });
+  }
+
+  const planet = planets.get(planetInviteIndex.get(token));
+  if (!planet) {
+    return res.status(404).json({ error: "Invite not found" });
+  }
+  if (planet.members[userId]) {
+    return res.json(planetView(planet, userId));
+  }
+  if (Object.keys(planet.members).length >= MAX_PLANET_MEMBERS) {
+    return res.status(409).json({ error: "Planet is full" });
+  }
+  if (frequency !== undefined && planetFrequencies(planet).has(frequency)) {
+    return res.status(409).json({ error: "Frequency already taken on this planet" });
+  }
+
+  addPlanetMember(planet, userId, frequency);
+  log.info("planet:join", { planetId: planet.id, userId, frequency: planet.members[userId].frequency });
+  res.json(planetView(planet, userId));
+});
+
+// Members with their planet frequencies
+app.get("/planets/:id/members", authenticateHTTP, (req, res) => {
+  const planet = planets.get(req.params.id);
+  if (!planet) return res.status(404).json({ error: "Planet not found" });
+  if (!planet.members[req.user.sub]) return res.status(403).json({ error: "Not a member of this planet" });
+
+  res.json({ planetId: planet.id, members: planetView(planet, req.user.sub).members });
+});
+
+// Invite link — any member can share it; the owner can rotate it to revoke old links
+app.post("/planets/:id/invite", authenticateHTTP, (req, res) => {
+  const userId = req.user.sub;
+  const planet = planets.get(req.params.id);
+  if (!planet) return res.status(404).json({ error: "Planet not found" });
+  if (!planet.members[userId]) return res.status(403).json({ error: "Not a member of this planet" });
+
+  if (req.body?.rotate) {
+    if (planet.ownerId !== userId) return res.status(403).json({ error: "Only the owner can rotate the invite" });
+    planetInviteIndex.delete(planet.inviteToken);
+    planet.inviteToken = generateInviteToken();
+    planetInviteIndex.set(planet.inviteToken, planet.id);
+    persistPlanet(planet);
+  }
+
+  res.json({
+    planetId: planet.id,
+    token: planet.inviteToken,
+    inviteUrl: `${PLANET_INVITE_URL}?token=${planet.inviteToken}`,
+  });
+});
+
+app.post("/planets/:id/leave", authenticateHTTP, (req, res) => {
+  const userId = req.user.sub;
+  const planet = planets.get(req.params.id);
+  if (!planet) return res.status(404).json({ error: "Planet not found" });
+  if (!planet.members[userId]) return res.status(403).json({ error: "Not a member of this planet" });
+
+  delete planet.members[userId];
+  const remaining = Object.entries(planet.members).sort((a, b) => a[1].joinedAt - b[1].joinedAt);
+  if (remaining.length === 0) {
+    destroyPlanet(planet);
+    log.info("planet:destroy", { planetId: planet.id, reason: "last member left" });
+    return res.json({ left: true, planetId: planet.id, destroyed: true });
+  }
+
+  // Ownership passes to the longest-standing member
+  if (planet.ownerId === userId) planet.ownerId = remaining[0][0];
+  persistPlanet(planet);
+  res.json({ left: true, planetId: planet.id, destroyed: false });
+});
+
+// Session recap (backs SessionRecapView) — also pushed as sessionRecap on teardown
+app.get("/sessions/:id/recap", authenticateHTTP, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  res.json(sessionRecap(session));
+});
+
+// Play history for a user's station across all of its sessions, newest first
+app.get("/stations/:userId/history", authenticateHTTP, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  let history = store.loadStationHistory(req.params.userId);
+  // Only the owner sees what played on their private, passcode and planet sessions
+  if (req.user.sub !== req.params.userId) {
+    history = history.filter((entry) => (entry.visibility ?? "public") === "public");
+  }
+  res.json({ userId: req.params.userId, history: history.slice(-limit).reverse() });
 });
 
 // Join session by ID (bypasses code expiry for dial-based joining)
-app.post("/sessions/join-by-id", authenticateHTTP, (req, res) => {
+app.post("/sessions/join-by-id", authenticateHTTP, async (req, res) => {
+  const ip = req.ip || req.socket.remoteAddress;
   const { sessionId } = req.body;
+
+  if (!checkRateLimit(joinByIdAttemptLog, ip, MAX_JOIN_BY_ID_PER_IP_PER_MIN, 60 * 1000)) {
+    meters.rateLimitRejections.inc({ route: "/sessions/join-by-id" });
+    return res.status(429).json({ error: "Too many join attempts. Try again later." });
+  }
+  recordRateLimit(joinByIdAttemptLog, ip);
   if (!sessionId || typeof sessionId !== "string") {
     return res.status(400).json({ error: "sessionId required" });
   }
 
   const session = sessions.get(sessionId);
   if (!session) {
+    const owner = await remoteOwner(sessionId);
+    if (owner) return replayToOwner(res, owner);
     return res.status(404).json({ error: "Session not found" });
   }
 
+  if (isBanned(session, req.user.sub)) {
+    return res.status(403).json({ error: "You've been banned from this station" });
+  }
+  if (kickCoolingDown(session, req.user.sub)) {
+    return res.status(403).json({ error: "You were just removed from this station. Try again later." });
+  }
+
+  if (refuseAdmission(req, res, session, false)) return;
+
   if (session.members.size >= MAX_MEMBERS) {
     return res.status(409).json({ error: "Session is full" });
   }
 
+  admit(session, req.user.sub);
   const djMember = session.members.get(session.djUserId);
-  console.log(`[session:join-by-id] session=${session.id} dj=${djMember?.displayName || session.djUserId} members=${session.members.size}`);
+  log.info("session:join-by-id", { sessionId: session.id, userId: req.user.sub, members: session.members.size });
   res.json({
     id: session.id,
     joinCode: session.joinCode,
@@ -295,9 +922,15 @@ app.post("/sessions/join-by-id", authenticateHTTP, (req, res) => {
 // --- WebSocket Server ---
 
 const server = createServer(app);
-const wss = new WebSocketServer({ noServer: true, maxPayload: 512_000 });
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_WS_PAYLOAD_BYTES });
+
+server.on("upgrade", async (request, socket, head) => {
+  if (shuttingDown) {
+    socket.write("HTTP/1.1 503 Service Unavailable\r\n\r\n");
+    socket.destroy();
+    return;
+  }
 
-server.on("upgrade", (request, socket, head) => {
   // Authenticate WebSocket upgrade via query param token
   const url = new URL(request.url, `http://${request.headers.host}`);
   const token = url.searchParams.get("token");
@@ -318,32 +951,86 @@ server.on("upgrade", (request, socket, head) => {
     return;
   }
 
-  const session = sessions.get(sessionId);
-  if (!session) {
+  // Sessions hosted on another instance are relayed there over the bus
+  const relayTo = sessions.has(sessionId) ? null : await remoteOwner(sessionId);
+  if (!sessions.has(sessionId) && !relayTo) {
     socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
     socket.destroy();
     return;
   }
+  const localSession = sessions.get(sessionId);
+  if (!relayTo && (isBanned(localSession, user.sub) || kickCoolingDown(localSession, user.sub) || !mayEnter(localSession, user.sub))) {
+    socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+
+  // Reconnecting clients present the last epoch/seq they saw so we can replay the gap
+  const lastEpoch = Number(url.searchParams.get("lastEpoch"));
+  const lastSeq = Number(url.searchParams.get("lastSeq"));
+  const resumeFrom = url.searchParams.has("lastEpoch") && url.searchParams.has("lastSeq") &&
+    Number.isInteger(lastEpoch) && Number.isInteger(lastSeq)
+    ? { epoch: lastEpoch, seq: lastSeq }
+    : null;
+
+  // Protocol handshake — builds that predate it send neither param and speak version 1
+  const protocolParam = url.searchParams.get("protocol");
+  const protocol = {
+    version: protocolParam === null ? 1 : Number(protocolParam),
+    capabilities: negotiateCapabilities(url.searchParams.get("capabilities")),
+  };
 
   wss.handleUpgrade(request, socket, head, (ws) => {
     ws.user = user;
     ws.sessionId = sessionId;
+    ws.resumeFrom = resumeFrom;
+    ws.handshake = protocol;
+    ws.connId = crypto.randomBytes(4).toString("hex"); // correlates every log line for this socket
+    ws.relayTo = relayTo;
     wss.emit("connection", ws, request);
   });
 });
 
 wss.on("connection", (ws) => {
+  if (ws.relayTo) return relayConnection(ws);
+  if (!ws.relayedBy) ws.on("close", (code) => meters.wsCloses.inc({ code })); // relays count their own sockets
   const { sessionId } = ws;
   const userId = ws.user.sub;
   const displayName = ws.user.name || userId;
   const session = sessions.get(sessionId);
+  const connLog = log.child({ sessionId, connId: ws.connId, userId });
 
   if (!session) {
-    console.log(`[ws] session not found: ${sessionId} (active sessions: ${sessions.size})`);
+    connLog.info("ws:reject", { reason: "session not found", activeSessions: sessions.size });
     ws.close(4004, "Session not found");
     return;
   }
 
+  if (shuttingDown) {
+    ws.close(4013, "Server restarting");
+    return;
+  }
+
+  if (!Number.isInteger(ws.handshake.version) || ws.handshake.version < MIN_PROTOCOL_VERSION) {
+    connLog.info("ws:reject", { reason: "protocol", protocol: ws.handshake.version, minProtocol: MIN_PROTOCOL_VERSION });
+    ws.close(4010, "Unsupported protocol version");
+    return;
+  }
+
+  // Relayed sockets skip the upgrade-time ban and visibility checks, so look again here
+  if (isBanned(session, userId)) {
+    ws.close(4014, "Banned from this station");
+    return;
+  }
+  if (kickCoolingDown(session, userId)) {
+    ws.close(4011, "Removed from this station");
+    return;
+  }
+  if (!mayEnter(session, userId)) {
+    ws.close(4015, "Join this station first");
+    return;
+  }
+
   if (session.members.size >= MAX_MEMBERS && !session.members.has(userId)) {
     ws.close(4009, "Session full");
     return;
@@ -368,18 +1055,53 @@ wss.on("connection", (ws) => {
     ws,
     alive: true,
     joinedAt: Date.now(),
+    clock: { nextProbeId: 1, pending: new Map(), samples: [], estimate: null },
+    protocol: ws.handshake,
   });
+  if (!session.rotationOrder.includes(userId)) session.rotationOrder.push(userId);
+  admit(session, userId);
+  session.stats.peakListeners = Math.max(session.stats.peakListeners, session.members.size);
   session.lastActivity = Date.now();
-  console.log(`[ws] connected: ${displayName} (${userId}) to session ${sessionId}, members=${session.members.size}`);
+  connLog.info("ws:connect", { displayName, protocol: ws.handshake.version, members: session.members.size });
+
+  // Handshaking clients learn what this server speaks before anything else
+  if (ws.handshake.version >= 2) {
+    ws.send(JSON.stringify({
+      type: "welcome",
+      data: {
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        capabilities: Array.from(ws.handshake.capabilities),
+        serverCapabilities: Object.keys(CAPABILITIES),
+      },
+      timestamp: Date.now(),
+    }));
+  }
 
-  // Send session snapshot to joiner
-  ws.send(JSON.stringify({
-    type: "stateSync",
-    data: sessionSnapshot(session),
-    epoch: session.epoch,
-    seq: session.sequence,
-    timestamp: Date.now(),
-  }));
+  // Replay what a reconnecting member missed, or send the full snapshot
+  const canResume = ws.resumeFrom && supports(ws.handshake, "resumed");
+  const missed = canResume ? missedBroadcasts(session, userId, ws.resumeFrom) : null;
+  if (missed) {
+    ws.send(JSON.stringify({
+      type: "resumed",
+      data: { fromSeq: ws.resumeFrom.seq, toSeq: session.sequence, replayed: missed.length },
+      epoch: session.epoch,
+      seq: session.sequence,
+      timestamp: Date.now(),
+    }));
+    for (const message of missed) {
+      if (supports(ws.handshake, message.type)) ws.send(JSON.stringify(message));
+    }
+    connLog.info("ws:resume", { fromSeq: ws.resumeFrom.seq, replayed: missed.length });
+  } else {
+    ws.send(JSON.stringify({
+      type: "stateSync",
+      data: sessionSnapshot(session, userId),
+      epoch: session.epoch,
+      seq: session.sequence,
+      timestamp: Date.now(),
+    }));
+  }
 
   // Notify others
   broadcastToSession(session, {
@@ -390,20 +1112,30 @@ wss.on("connection", (ws) => {
     timestamp: Date.now(),
   }, userId);
 
+  startClockProbes(session, userId, ws);
+
+  // The code came due while nobody was connected to see it rotate
+  if (!session.codeTimer) regenerateJoinCode(session);
+
   // Handle messages
   ws.on("message", (raw) => {
     let msg;
     try {
       msg = JSON.parse(raw);
     } catch {
-      return; // ignore malformed
+      meters.messagesReceived.inc({ type: "malformed" });
+      return rejectMessage(session, userId, null, "MALFORMED_JSON", "Message is not valid JSON");
     }
+    // Label by known type only, so clients can't blow up the label set
+    meters.messagesReceived.inc({ type: Object.hasOwn(MESSAGE_SCHEMAS, msg?.type) ? msg.type : "unknown" });
 
-    console.log(`[ws:msg] ${displayName}: ${msg.type}`, msg.data ? JSON.stringify(msg.data).slice(0, 120) : "");
+    connLog.sampled(msg?.type).debug("ws:msg", { type: msg?.type, bytes: raw.length });
     handleMessage(session, userId, msg);
   });
 
-  ws.on("close", () => {
+  ws.on("close", (code) => {
+    connLog.info("ws:close", { code });
+    if (shuttingDown) return; // the session is kept as-is for the next boot
     const member = session.members.get(userId);
     if (member?.ws === ws) {
       session.members.delete(userId);
@@ -415,16 +1147,14 @@ wss.on("connection", (ws) => {
         timestamp: Date.now(),
       });
 
+      if (session.djRequest?.userId === userId) resolveDJRequest(session, "cancelled");
+
       // If DJ left, promote creator or first member
       if (session.djUserId === userId && session.members.size > 0) {
-        session.djUserId = session.creatorId && session.members.has(session.creatorId)
+        handOffDJ(session, session.creatorId && session.members.has(session.creatorId)
           ? session.creatorId
-          : session.members.keys().next().value;
-        session.epoch++;
-        broadcastToSession(session, {
-          type: "stateSync",
-          data: sessionSnapshot(session),
-        });
+          : session.members.keys().next().value, "djLeft");
+        meters.djPromotions.inc({ reason: "djLeft" });
       }
 
       // Clean up empty session (with grace period for active stations)
@@ -440,38 +1170,282 @@ wss.on("connection", (ws) => {
   });
 });
 
-// --- Message Handling ---
+// --- Protocol Negotiation ---
+//
+// Message types added after the original protocol are grouped into
+// capabilities. A client only receives, and may only send, the types of the
+// capabilities it listed at upgrade; everything else is the original
+// protocol every build speaks. New features register their types here.
+
+const CAPABILITIES = {
+  collabQueue: ["vote", "unvote", "setDJMode", "djModeChanged"],
+  hotSeat: ["djRotated"],
+  requestInbox: ["requestTrack", "acceptRequest", "declineRequest", "requestsUpdate", "requestAccepted", "requestDeclined"],
+  voiceClips: ["voiceClipStart", "voiceClipChunk", "voiceClipEnd", "fetchVoiceClips", "voiceClip", "voiceClipSent", "voiceClips"],
+  clockProbe: ["clockProbe", "clockProbeReply"],
+  resume: ["resumed"],
+  recap: ["sessionRecap"],
+  announcements: ["announcement"],
+  queueEditing: ["playNext", "moveInQueue", "clearQueue"],
+  fairQueue: ["setQueuePolicy", "queuePolicyChanged"],
+  codeRotation: ["regenerateCode", "joinCodeChanged", "joinCodeExpiring"],
+  restartNotice: ["serverRestarting"],
+  roles: ["setRole", "roleChanged"],
+  moderation: ["kickMember", "unbanMember", "memberKicked"],
+  visibility: ["setVisibility", "visibilityChanged"],
+  djHandoff: ["transferDJ", "requestDJ", "approveDJRequest", "denyDJRequest", "djChanged", "djRequest", "djRequestResolved"],
+  errors: ["error"],
+};
+
+/** @type {Object<string, string>} message type → capability that gates it */
+const MESSAGE_CAPABILITY = Object.fromEntries(
+  Object.entries(CAPABILITIES).flatMap(([capability, types]) => types.map((type) => [type, capability]))
+);
+
+/** Intersect a client's comma-separated capability list with what the server supports */
+function negotiateCapabilities(param) {
+  const requested = (param || "").split(",").map((c) => c.trim());
+  return new Set(requested.filter((c) => Object.hasOwn(CAPABILITIES, c)));
+}
 
-function handleMessage(session, senderId, msg) {
-  session.lastActivity = Date.now();
+/** Whether a client that negotiated `protocol` understands message `type` */
+function supports(protocol, type) {
+  const capability = MESSAGE_CAPABILITY[type];
+  return !capability || protocol.capabilities.has(capability);
+}
 
-  switch (msg.type) {
-    case "playPrepare": {
-      if (senderId !== session.djUserId) return; // only DJ
-      if (!msg.data?.trackId) return;
+// --- Roles ---
+//
+// The DJ is whoever holds djUserId; the station owner (creatorId) can make
+// other members co-DJs or moderators with setRole. Everyone else listens.
+// Roles survive a member's reconnect and a DJ handoff — a co-DJ who takes
+// the decks and hands them back is a co-DJ again.
+
+const ASSIGNABLE_ROLES = ["coDJ", "moderator", "listener"];
+
+/** Which roles may do what — message schemas name these permissions */
+const PERMISSIONS = {
+  play: ["dj", "coDJ"], // playPrepare, playCommit, resume
+  pause: ["dj", "coDJ", "moderator"],
+  seek: ["dj", "coDJ"],
+  skip: ["dj", "coDJ", "moderator"],
+  queue: ["dj", "coDJ"], // addToQueue outside collaborative mode
+  removeFromQueue: ["dj", "coDJ", "moderator"],
+  reorder: ["dj", "coDJ"], // moveInQueue, playNext
+  clearQueue: ["dj", "coDJ"],
+  kick: ["dj", "moderator"],
+  requests: ["dj"], // the request inbox is the DJ's
+  djMode: ["dj"],
+  handoff: ["dj"], // transferDJ, and answering requestDJ
+};
+
+/** @returns {"dj"|"coDJ"|"moderator"|"listener"} */
+function roleOf(session, userId) {
+  if (userId === session.djUserId) return "dj";
+  return session.roles[userId] || "listener";
+}
 
-      session.currentTrack = msg.data.track || { id: msg.data.trackId };
-      session.epoch++;
-      session.sequence++;
+function can(session, userId, permission) {
+  return PERMISSIONS[permission].includes(roleOf(session, userId));
+}
 
-      broadcastToSession(session, {
-        type: "playPrepare",
-        data: msg.data,
-        epoch: session.epoch,
-        seq: session.sequence,
+/** Kicks and bans: the kick permission, or owning the station */
+function canModerate(session, userId) {
+  return userId === session.creatorId || can(session, userId, "kick");
+}
+
+function isBanned(session, userId) {
+  return Object.hasOwn(session.bans, userId);
+}
+
+/** A plain kick keeps someone out for KICK_COOLDOWN_MS, so the app's auto-reconnect can't undo it */
+function kickCoolingDown(session, userId) {
+  const until = session.kickedUntil.get(userId);
+  if (until === undefined) return false;
+  if (until > Date.now()) return true;
+  session.kickedUntil.delete(userId);
+  return false;
+}
+
+/** Record a ban and drop whatever the member had going in the session */
+function banMember(session, userId, bannedBy) {
+  session.bans[userId] = { bannedBy, bannedAt: Date.now() };
+  delete session.roles[userId];
+  if (session.djRequest?.userId === userId) resolveDJRequest(session, "cancelled");
+  const pending = session.pendingRequests.length;
+  session.pendingRequests = session.pendingRequests.filter((r) => r.requestedBy !== userId);
+  if (session.pendingRequests.length !== pending) sendRequestsToDJ(session);
+}
+
+// --- Message Validation ---
+//
+// Every inbound type has a schema: the permission (see Roles) needed to send
+// it, if any, and the shape of its `data`. Field specs are a type name ("string", "number",
+// "integer", "boolean", "object"), suffixed with "?" when optional, or a
+// nested spec object. Anything that fails — here or in handleMessage's state
+// checks — gets an `error` reply instead of being dropped silently.
+//
+// Reason codes: MALFORMED_JSON, UNKNOWN_TYPE, INVALID_PAYLOAD, NOT_ALLOWED,
+// QUEUE_FULL, QUEUE_EMPTY, REQUESTS_FULL, DUPLICATE_NONCE, DUPLICATE_CLIP,
+// NOT_FOUND, ALREADY_VOTED, NOT_VOTED, CLIP_TOO_LARGE, RATE_LIMITED,
+// NOT_NEGOTIATED. NOT_ALLOWED covers every role or ownership denial — the
+// permission matrix here and the owner-only checks in handlers alike — as
+// well as commands the session's current mode rules out.
+
+const TRACK_SPEC = { id: "string" };
+
+const MESSAGE_SCHEMAS = {
+  playPrepare: { permission: "play", data: { trackId: "string", track: "object?" } },
+  playCommit: { permission: "play", data: { positionMs: "number?", ntpTimestamp: "number?" } },
+  pause: { permission: "pause" },
+  resume: { permission: "play", data: { executionTime: "number?" } },
+  seek: { permission: "seek", data: { positionMs: "number" } },
+  skip: { permission: "skip" },
+  addToQueue: { data: { track: TRACK_SPEC, nonce: "string" } },
+  removeFromQueue: { permission: "removeFromQueue", data: { nonce: "string?", trackId: "string?" } },
+  playNext: { permission: "reorder", data: { track: TRACK_SPEC, nonce: "string" } },
+  moveInQueue: { permission: "reorder", data: { nonce: "string", toIndex: "integer" } },
+  clearQueue: { permission: "clearQueue" },
+  setQueuePolicy: { permission: "djMode", data: { fairQueue: "boolean?", maxPendingPerMember: "integer?" } },
+  requestTrack: { data: { track: TRACK_SPEC, nonce: "string" } },
+  acceptRequest: { permission: "requests", data: { nonce: "string" } },
+  declineRequest: { permission: "requests", data: { nonce: "string" } },
+  voiceClipStart: { data: { clipId: "string", durationMs: "number", mimeType: "string?" } },
+  voiceClipChunk: { data: { clipId: "string", index: "integer", data: "string" } },
+  voiceClipEnd: { data: { clipId: "string" } },
+  fetchVoiceClips: { data: { since: "number?" } },
+  vote: { data: { nonce: "string" } },
+  unvote: { data: { nonce: "string" } },
+  setDJMode: { permission: "djMode", data: { djMode: "string?", hotSeatSongsPerDJ: "integer?" } },
+  setRole: { data: { userId: "string", role: "string" } },
+  transferDJ: { permission: "handoff", data: { userId: "string" } },
+  requestDJ: {},
+  approveDJRequest: { permission: "handoff", data: { userId: "string" } },
+  denyDJRequest: { permission: "handoff", data: { userId: "string" } },
+  kickMember: { data: { userId: "string", ban: "boolean?" } },
+  unbanMember: { data: { userId: "string" } },
+  setVisibility: { data: { visibility: "string", passcode: "string?" } },
+  regenerateCode: {},
+  driftReport: { data: { trackId: "string", positionMs: "number", ntpTimestamp: "number" } },
+  ping: { data: { clientSendTime: "number?" } },
+  clockProbeReply: { data: { probeId: "integer", clientReceiveTime: "number", clientSendTime: "number" } },
+};
+
+/**
+ * Check an inbound message against its schema before dispatch.
+ * @returns {{code: string, message: string}|null} null when the message is acceptable
+ */
+function validateMessage(session, senderId, msg) {
+  if (!isPlainObject(msg) || typeof msg.type !== "string") {
+    return { code: "INVALID_PAYLOAD", message: "Message must be an object with a string type" };
+  }
+  const schema = MESSAGE_SCHEMAS[msg.type];
+  if (!schema) return { code: "UNKNOWN_TYPE", message: `Unknown message type: ${msg.type}` };
+  const member = session.members.get(senderId);
+  if (member && !supports(member.protocol, msg.type)) {
+    return { code: "NOT_NEGOTIATED", message: `${msg.type} needs the ${MESSAGE_CAPABILITY[msg.type]} capability` };
+  }
+  if (schema.permission && !can(session, senderId, schema.permission)) {
+    return { code: "NOT_ALLOWED", message: `A ${roleOf(session, senderId)} can't send ${msg.type}` };
+  }
+  if (msg.data !== undefined && !isPlainObject(msg.data)) {
+    return { code: "INVALID_PAYLOAD", message: "data must be an object" };
+  }
+  const problem = checkFields(msg.data || {}, schema.data || {}, "data");
+  return problem ? { code: "INVALID_PAYLOAD", message: problem } : null;
+}
+
+/** First field of `value` that doesn't match `spec`, as a human-readable problem, or null */
+function checkFields(value, spec, path) {
+  for (const [field, fieldSpec] of Object.entries(spec)) {
+    const fieldPath = `${path}.${field}`;
+    const fieldValue = value[field];
+    if (typeof fieldSpec === "object") {
+      if (!isPlainObject(fieldValue)) return `${fieldPath} must be an object`;
+      const problem = checkFields(fieldValue, fieldSpec, fieldPath);
+      if (problem) return problem;
+      continue;
+    }
+
+    const optional = fieldSpec.endsWith("?");
+    const type = optional ? fieldSpec.slice(0, -1) : fieldSpec;
+    if (fieldValue === undefined || fieldValue === null) {
+      if (optional) continue;
+      return `${fieldPath} is required`;
+    }
+    if (!matchesType(fieldValue, type)) return `${fieldPath} must be ${type === "integer" ? "an" : "a"} ${type}`;
+  }
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string" && value.length > 0;
+    case "number": return Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "object": return isPlainObject(value);
+    default: return false;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Tell the sender why their message was dropped. The reply names the
+ * offending message's type and nonce so the client can match it up.
+ */
+function rejectMessage(session, senderId, msg, code, message) {
+  log.info("ws:error", { sessionId: session.id, userId: senderId, type: msg?.type, code });
+  sendToMember(session, senderId, {
+    type: "error",
+    data: {
+      code,
+      message,
+      messageType: typeof msg?.type === "string" ? msg.type : null,
+      nonce: msg?.data?.nonce ?? null,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+// --- Message Handling ---
+
+function handleMessage(session, senderId, msg) {
+  const invalid = validateMessage(session, senderId, msg);
+  if (invalid) return rejectMessage(session, senderId, msg, invalid.code, invalid.message);
+
+  session.lastActivity = Date.now();
+
+  switch (msg.type) {
+    case "playPrepare": {
+      finishPlay(session, { skipped: true }); // DJ cut the previous track short
+      session.currentTrack = msg.data.track || { id: msg.data.trackId };
+      startPlay(session);
+      session.epoch++;
+      session.sequence++;
+
+      persistSession(session);
+      broadcastToSession(session, {
+        type: "playPrepare",
+        data: msg.data,
+        epoch: session.epoch,
+        seq: session.sequence,
         timestamp: Date.now(),
       });
       break;
     }
 
     case "playCommit": {
-      if (senderId !== session.djUserId) return;
-
       session.isPlaying = true;
       session.positionMs = msg.data?.positionMs || 0;
       session.positionTimestamp = msg.data?.ntpTimestamp || Date.now();
+      markPlaying(session);
       session.sequence++;
 
+      persistSession(session);
       broadcastToSession(session, {
         type: "playCommit",
         data: msg.data,
@@ -484,35 +1458,17 @@ function handleMessage(session, senderId, msg) {
     }
 
     case "pause": {
-      if (senderId !== session.djUserId) return;
-
-      session.isPlaying = false;
-      clearAdvancement(session);
-      // Snapshot the position at pause time
-      if (session.positionTimestamp) {
-        const elapsed = Date.now() - session.positionTimestamp;
-        session.positionMs += elapsed;
-        session.positionTimestamp = Date.now();
-      }
-      session.sequence++;
-
-      broadcastToSession(session, {
-        type: "pause",
-        data: { positionMs: session.positionMs, ntpTimestamp: Date.now() },
-        epoch: session.epoch,
-        seq: session.sequence,
-        timestamp: Date.now(),
-      });
+      pauseSession(session);
       break;
     }
 
     case "resume": {
-      if (senderId !== session.djUserId) return;
-
       session.isPlaying = true;
       session.positionTimestamp = Date.now();
+      markPlaying(session);
       session.sequence++;
 
+      persistSession(session);
       broadcastToSession(session, {
         type: "resume",
         data: {
@@ -529,12 +1485,11 @@ function handleMessage(session, senderId, msg) {
     }
 
     case "seek": {
-      if (senderId !== session.djUserId) return;
-
       session.positionMs = msg.data?.positionMs || 0;
       session.positionTimestamp = Date.now();
       session.sequence++;
 
+      persistSession(session);
       broadcastToSession(session, {
         type: "seek",
         data: msg.data,
@@ -547,43 +1502,318 @@ function handleMessage(session, senderId, msg) {
     }
 
     case "skip": {
-      if (senderId !== session.djUserId) return;
-
-      const nextTrack = session.queue.shift();
+      const nextTrack = nextFromQueue(session);
       if (nextTrack) {
+        finishPlay(session, { skipped: true });
+        const rotation = countHotSeatSong(session);
         session.currentTrack = nextTrack;
         session.positionMs = 0;
         session.positionTimestamp = Date.now();
         session.isPlaying = true;
+        startPlay(session);
         session.epoch++;
         session.sequence = 0;
+        persistSession(session);
 
         // Broadcast full state — DJ client will initiate playback
-        broadcastToSession(session, {
-          type: "stateSync",
-          data: sessionSnapshot(session),
-          epoch: session.epoch,
-          seq: session.sequence,
-          timestamp: Date.now(),
-        });
+        broadcastStateSync(session);
+        if (rotation) broadcastDJRotated(session, rotation);
         scheduleAdvancement(session);
+      } else {
+        rejectMessage(session, senderId, msg, "QUEUE_EMPTY", "Nothing queued to skip to");
       }
       break;
     }
 
-    case "addToQueue": {
-      if (!msg.data?.track || !msg.data?.nonce) return;
-      if (session.queue.length >= MAX_QUEUE_SIZE) return;
+    case "addToQueue":
+    case "playNext": {
+      const atHead = msg.type === "playNext";
+      if (atHead && session.djMode === "collaborative") {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The queue follows votes in collaborative mode");
+      }
+      // Listeners go through requestTrack unless everyone shares the queue
+      if (!atHead && !can(session, senderId, "queue") && session.djMode !== "collaborative") {
+        const protocol = session.members.get(senderId)?.protocol;
+        if (!protocol || supports(protocol, "requestTrack")) {
+          return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Listeners send requestTrack unless the queue is collaborative");
+        }
+        // Builds from before the inbox only know addToQueue and never see the error. File it for a DJ
+        // who can see the inbox; a DJ on an old build too gets it queued, as both builds expect.
+        const djProtocol = session.members.get(session.djUserId)?.protocol;
+        if (djProtocol && supports(djProtocol, "requestsUpdate")) return fileTrackRequest(session, senderId, msg);
+      }
+      if (atHead && session.fairQueue) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The queue takes turns while fair queueing is on");
+      }
+      if (session.queue.length >= MAX_QUEUE_SIZE) {
+        return rejectMessage(session, senderId, msg, "QUEUE_FULL", `Queue is limited to ${MAX_QUEUE_SIZE} tracks`);
+      }
+      // The DJ and co-DJs curate; the cap is for listeners in a shared queue
+      const cap = session.maxPendingPerMember;
+      if (cap > 0 && !can(session, senderId, "queue") && pendingCount(session, senderId) >= cap) {
+        return rejectMessage(session, senderId, msg, "QUEUE_FULL", `You can have ${cap} tracks waiting at a time`);
+      }
       // Idempotency: check nonce
-      if (session.queue.some((t) => t.nonce === msg.data.nonce)) return;
+      if (session.queue.some((t) => t.nonce === msg.data.nonce)) {
+        return rejectMessage(session, senderId, msg, "DUPLICATE_NONCE", "Track with this nonce is already queued");
+      }
+
+      const queueEntry = {
+        ...msg.data.track,
+        nonce: msg.data.nonce,
+        addedBy: senderId,
+        addedAt: Date.now(),
+        votes: 0,
+        voters: [],
+      };
+      if (atHead) session.queue.unshift(queueEntry);
+      else session.queue.push(queueEntry);
+      countStat(session.stats.tracksAdded, senderId, 1);
+      broadcastQueueUpdate(session);
+      break;
+    }
+
+    case "removeFromQueue": {
+      const { nonce, trackId } = msg.data;
+      if (nonce) {
+        // One entry — the same track queued twice keeps its other copy
+        const index = session.queue.findIndex((t) => t.nonce === nonce);
+        if (index === -1) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No queued track with this nonce");
+        session.queue.splice(index, 1);
+      } else if (trackId) {
+        session.queue = session.queue.filter((t) => t.id !== trackId); // legacy clients: every copy
+      } else {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", "data.nonce or data.trackId is required");
+      }
+      broadcastQueueUpdate(session);
+      break;
+    }
+
+    case "moveInQueue": {
+      if (session.djMode === "collaborative") {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The queue follows votes in collaborative mode");
+      }
+      if (session.fairQueue) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The queue takes turns while fair queueing is on");
+      }
+      const from = session.queue.findIndex((t) => t.nonce === msg.data.nonce);
+      if (from === -1) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No queued track with this nonce");
+      const to = msg.data.toIndex;
+      if (to < 0 || to >= session.queue.length) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `toIndex must be 0-${session.queue.length - 1}`);
+      }
+      if (from === to) return;
+
+      const [entry] = session.queue.splice(from, 1);
+      session.queue.splice(to, 0, entry);
+      broadcastQueueUpdate(session);
+      break;
+    }
+
+    case "clearQueue": {
+      if (session.queue.length === 0) return;
+      session.queue = [];
+      broadcastQueueUpdate(session);
+      break;
+    }
+
+    case "requestTrack": {
+      if (senderId === session.djUserId) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The DJ queues tracks directly with addToQueue");
+      }
+      fileTrackRequest(session, senderId, msg);
+      break;
+    }
+
+    case "acceptRequest":
+    case "declineRequest": {
+      const request = session.pendingRequests.find((r) => r.nonce === msg.data.nonce);
+      if (!request) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No pending request with this nonce");
+      const accepted = msg.type === "acceptRequest";
+      if (accepted) {
+        if (session.queue.length >= MAX_QUEUE_SIZE) {
+          return rejectMessage(session, senderId, msg, "QUEUE_FULL", `Queue is limited to ${MAX_QUEUE_SIZE} tracks`);
+        }
+        if (session.queue.some((t) => t.nonce === request.nonce)) {
+          return rejectMessage(session, senderId, msg, "DUPLICATE_NONCE", "Track with this nonce is already queued");
+        }
+      }
+
+      session.pendingRequests = session.pendingRequests.filter((r) => r !== request);
+      if (accepted) {
+        session.queue.push({
+          ...request.track,
+          nonce: request.nonce,
+          addedBy: request.requestedBy,
+          addedAt: Date.now(),
+          votes: 0,
+          voters: [],
+        });
+        countStat(session.stats.tracksAdded, request.requestedBy, 1);
+        broadcastQueueUpdate(session);
+      } else {
+        persistSession(session);
+      }
+
+      sendToMember(session, request.requestedBy, {
+        type: accepted ? "requestAccepted" : "requestDeclined",
+        data: { nonce: request.nonce, trackId: request.track.id },
+        timestamp: Date.now(),
+      });
+      sendRequestsToDJ(session);
+      break;
+    }
+
+    case "voiceClipStart": {
+      const { clipId, durationMs, mimeType } = msg.data;
+      if (durationMs <= 0 || durationMs > MAX_VOICE_CLIP_DURATION_MS) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `durationMs must be between 0 and ${MAX_VOICE_CLIP_DURATION_MS}`);
+      }
+      if (session.voiceUploads.has(clipId) || session.voiceClips.some((c) => c.clipId === clipId)) {
+        return rejectMessage(session, senderId, msg, "DUPLICATE_CLIP", "clipId has already been used");
+      }
+
+      const logKey = `${session.id}:${senderId}`;
+      if (!checkRateLimit(voiceClipLog, logKey, MAX_VOICE_CLIPS_PER_MEMBER_PER_MIN, 60 * 1000)) {
+        return rejectMessage(session, senderId, msg, "RATE_LIMITED", "Too many voice clips, try again in a minute");
+      }
+      recordRateLimit(voiceClipLog, logKey);
+
+      // One upload in flight per member — a new start abandons the old one
+      for (const [id, upload] of session.voiceUploads) {
+        if (upload.senderId === senderId) session.voiceUploads.delete(id);
+      }
+      session.voiceUploads.set(clipId, {
+        senderId,
+        durationMs,
+        mimeType: typeof mimeType === "string" ? mimeType : "audio/aac",
+        chunks: [],
+        bytes: 0,
+        startedAt: Date.now(),
+      });
+      break;
+    }
+
+    case "voiceClipChunk": {
+      const upload = session.voiceUploads.get(msg.data.clipId);
+      if (!upload || upload.senderId !== senderId) {
+        return rejectMessage(session, senderId, msg, "NOT_FOUND", "No upload in progress for this clipId");
+      }
+      if (msg.data.index !== upload.chunks.length) {
+        session.voiceUploads.delete(msg.data.clipId); // out-of-order chunk — abandon
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `Expected chunk ${upload.chunks.length}, upload abandoned`);
+      }
+
+      const chunk = Buffer.from(msg.data.data, "base64");
+      upload.bytes += chunk.length;
+      if (chunk.length > MAX_VOICE_CHUNK_BYTES || upload.bytes > MAX_VOICE_CLIP_BYTES) {
+        session.voiceUploads.delete(msg.data.clipId);
+        return rejectMessage(session, senderId, msg, "CLIP_TOO_LARGE", `Voice clips are limited to ${MAX_VOICE_CLIP_BYTES} bytes`);
+      }
+      upload.chunks.push(chunk);
+      break;
+    }
+
+    case "voiceClipEnd": {
+      const clipId = msg.data.clipId;
+      const upload = session.voiceUploads.get(clipId);
+      if (!upload || upload.senderId !== senderId) {
+        return rejectMessage(session, senderId, msg, "NOT_FOUND", "No upload in progress for this clipId");
+      }
+      session.voiceUploads.delete(clipId);
+      if (upload.bytes === 0) return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", "Voice clip has no audio");
+
+      const clip = {
+        clipId,
+        senderId,
+        senderName: session.members.get(senderId)?.displayName || senderId,
+        durationMs: upload.durationMs,
+        mimeType: upload.mimeType,
+        data: Buffer.concat(upload.chunks).toString("base64"),
+        createdAt: Date.now(),
+      };
+      session.voiceClips.push(clip);
+      pruneVoiceClips(session);
+
+      broadcastToSession(session, {
+        type: "voiceClip",
+        data: clip,
+        timestamp: Date.now(),
+      }, senderId);
+      sendToMember(session, senderId, {
+        type: "voiceClipSent",
+        data: { clipId },
+        timestamp: Date.now(),
+      });
+      break;
+    }
+
+    case "fetchVoiceClips": {
+      // Reconnecting members catch up on clips they missed (last VOICE_CLIP_RETENTION_MS).
+      // Each goes out as its own voiceClip, sized like a live one, so the catch-up never
+      // becomes one frame too big for the client; voiceClips then lists what was replayed.
+      pruneVoiceClips(session);
+      const since = msg.data?.since || 0;
+      const missed = session.voiceClips.filter((c) => c.createdAt > since && c.senderId !== senderId);
+      for (const clip of missed) {
+        sendToMember(session, senderId, { type: "voiceClip", data: clip, timestamp: Date.now() });
+      }
+      sendToMember(session, senderId, {
+        type: "voiceClips",
+        data: { clips: missed.map(({ data, ...meta }) => meta) },
+        timestamp: Date.now(),
+      });
+      break;
+    }
+
+    case "vote":
+    case "unvote": {
+      // Collab Queue only — one vote per member per queue entry
+      if (session.djMode !== "collaborative") {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Voting is only open in collaborative mode");
+      }
+
+      const entry = session.queue.find((t) => t.nonce === msg.data.nonce);
+      if (!entry) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No queued track with this nonce");
+
+      const voters = new Set(entry.voters || []);
+      if (msg.type === "vote") {
+        if (voters.has(senderId)) return rejectMessage(session, senderId, msg, "ALREADY_VOTED", "Already voted for this track");
+        voters.add(senderId);
+      } else {
+        if (!voters.has(senderId)) return rejectMessage(session, senderId, msg, "NOT_VOTED", "No vote to take back");
+        voters.delete(senderId);
+      }
+      entry.voters = Array.from(voters);
+      entry.votes = entry.voters.length;
+      countStat(session.stats.votesCast, senderId, msg.type === "vote" ? 1 : -1);
 
-      const queueEntry = { ...msg.data.track, nonce: msg.data.nonce, addedBy: senderId };
-      session.queue.push(queueEntry);
+      broadcastQueueUpdate(session);
+      break;
+    }
+
+    case "setRole": {
+      const { userId, role } = msg.data;
+      if (senderId !== session.creatorId) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the station owner can assign roles");
+      }
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `role must be one of ${ASSIGNABLE_ROLES.join(", ")}`);
+      }
+      if (!session.members.has(userId)) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No member with this userId");
+      if (userId === session.djUserId) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "The DJ's role only changes with a DJ handoff");
+      }
+      if (roleOf(session, userId) === role) return; // already in effect
+
+      if (role === "listener") delete session.roles[userId];
+      else session.roles[userId] = role;
       session.sequence++;
+      persistSession(session);
 
       broadcastToSession(session, {
-        type: "queueUpdate",
-        data: { queue: session.queue },
+        type: "roleChanged",
+        data: { userId, role, changedBy: senderId },
         epoch: session.epoch,
         seq: session.sequence,
         timestamp: Date.now(),
@@ -591,16 +1821,188 @@ function handleMessage(session, senderId, msg) {
       break;
     }
 
-    case "removeFromQueue": {
-      if (senderId !== session.djUserId) return;
-      if (!msg.data?.trackId) return;
+    case "transferDJ": {
+      const { userId } = msg.data;
+      if (userId === senderId) return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", "You're already the DJ");
+      if (!session.members.has(userId)) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No member with this userId");
+      handOffDJ(session, userId, "transfer");
+      break;
+    }
+
+    case "requestDJ": {
+      if (senderId === session.djUserId) return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "You're already the DJ");
+      if (session.djRequest) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Someone is already waiting on the DJ");
+      }
+
+      const now = Date.now();
+      session.djRequest = {
+        userId: senderId,
+        djUserId: session.djUserId,
+        requestedAt: now,
+        expiresAt: now + DJ_REQUEST_TIMEOUT_MS,
+        timer: setTimeout(() => resolveDJRequest(session, "timeout"), DJ_REQUEST_TIMEOUT_MS),
+      };
+      sendToMember(session, session.djUserId, {
+        type: "djRequest",
+        data: { userId: senderId, displayName: displayNameOf(session, senderId), expiresAt: session.djRequest.expiresAt },
+        timestamp: now,
+      });
+      break;
+    }
+
+    case "approveDJRequest":
+    case "denyDJRequest": {
+      if (session.djRequest?.userId !== msg.data.userId) {
+        return rejectMessage(session, senderId, msg, "NOT_FOUND", "No pending DJ request from this member");
+      }
+      if (msg.type === "denyDJRequest") {
+        resolveDJRequest(session, "denied");
+        break;
+      }
+      resolveDJRequest(session, "approved");
+      handOffDJ(session, msg.data.userId, "request");
+      break;
+    }
+
+    case "kickMember": {
+      const { userId, ban = false } = msg.data;
+      if (!canModerate(session, senderId)) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the DJ, a moderator or the owner can remove members");
+      }
+      if (userId === senderId) return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", "You can't kick yourself");
+      if (userId === session.creatorId || (userId === session.djUserId && senderId !== session.creatorId)) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the owner can remove the DJ, and nobody can remove the owner");
+      }
+      // A ban can land after someone has already left; a plain kick needs them here
+      const member = session.members.get(userId);
+      if (!member && !ban) return rejectMessage(session, senderId, msg, "NOT_FOUND", "No member with this userId");
+
+      if (ban) banMember(session, userId, senderId);
+      else session.kickedUntil.set(userId, Date.now() + KICK_COOLDOWN_MS);
+      session.sequence++;
+      persistSession(session);
+      log.info("session:kick", { sessionId: session.id, userId, by: senderId, ban });
+
+      broadcastToSession(session, {
+        type: "memberKicked",
+        data: { userId, banned: ban, by: senderId },
+        epoch: session.epoch,
+        seq: session.sequence,
+        timestamp: Date.now(),
+      }, userId);
+      if (member) member.ws.close(ban ? 4014 : 4011, ban ? "Banned from this station" : "Removed from this station");
+      break;
+    }
+
+    case "unbanMember": {
+      if (!canModerate(session, senderId)) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the DJ, a moderator or the owner can lift bans");
+      }
+      // Also lifts a kick's rejoin cooldown early
+      if (!isBanned(session, msg.data.userId) && !kickCoolingDown(session, msg.data.userId)) {
+        return rejectMessage(session, senderId, msg, "NOT_FOUND", "That member isn't banned or cooling down");
+      }
+      delete session.bans[msg.data.userId];
+      session.kickedUntil.delete(msg.data.userId);
+      persistSession(session);
+      log.info("session:unban", { sessionId: session.id, userId: msg.data.userId, by: senderId });
+      break;
+    }
+
+    case "regenerateCode": {
+      if (senderId !== session.creatorId) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the station owner can change the join code");
+      }
+      log.info("session:code-regenerate", { sessionId: session.id, userId: senderId });
+      regenerateJoinCode(session);
+      break;
+    }
+
+    case "setVisibility": {
+      const { visibility, passcode = null } = msg.data;
+      if (senderId !== session.creatorId) {
+        return rejectMessage(session, senderId, msg, "NOT_ALLOWED", "Only the station owner can change who can tune in");
+      }
+      const problem = checkVisibility(visibility, passcode, session.planetId);
+      if (problem) return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", problem);
+
+      session.visibility = visibility;
+      session.passcodeHash = passcode === null ? null : hashPasscode(session, passcode);
+      session.sequence++;
+      persistSession(session);
+      log.info("session:visibility", { sessionId: session.id, visibility });
+
+      broadcastToSession(session, {
+        type: "visibilityChanged",
+        data: { visibility },
+        epoch: session.epoch,
+        seq: session.sequence,
+        timestamp: Date.now(),
+      });
+      break;
+    }
+
+    case "setQueuePolicy": {
+      const fairQueue = msg.data?.fairQueue ?? session.fairQueue;
+      const cap = msg.data?.maxPendingPerMember ?? session.maxPendingPerMember;
+      if (!isValidPendingCap(cap)) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `maxPendingPerMember must be 0-${MAX_QUEUE_SIZE}`);
+      }
+      if (fairQueue === session.fairQueue && cap === session.maxPendingPerMember) return; // already in effect
+
+      // Turning fairness off keeps the upcoming order as it stands; existing entries over a new cap stay queued
+      const reorders = fairQueue !== session.fairQueue;
+      session.fairQueue = fairQueue;
+      session.maxPendingPerMember = cap;
+      session.sequence++;
+      persistSession(session);
+
+      broadcastToSession(session, {
+        type: "queuePolicyChanged",
+        data: { fairQueue, maxPendingPerMember: cap },
+        epoch: session.epoch,
+        seq: session.sequence,
+        timestamp: Date.now(),
+      });
+      // The new play order goes out as a queueUpdate, which every build understands
+      if (reorders) broadcastQueueUpdate(session);
+      break;
+    }
 
-      session.queue = session.queue.filter((t) => t.id !== msg.data.trackId);
+    case "setDJMode": {
+      const djMode = msg.data?.djMode ?? session.djMode;
+      const songsPerDJ = msg.data?.hotSeatSongsPerDJ ?? session.hotSeatSongsPerDJ;
+      if (!DJ_MODES.includes(djMode)) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `djMode must be one of ${DJ_MODES.join(", ")}`);
+      }
+      if (!isValidHotSeatSongs(songsPerDJ)) {
+        return rejectMessage(session, senderId, msg, "INVALID_PAYLOAD", `hotSeatSongsPerDJ must be 1-${MAX_HOT_SEAT_SONGS}`);
+      }
+      if (djMode === session.djMode && songsPerDJ === session.hotSeatSongsPerDJ) return; // already in effect
+
+      const wasCollaborative = session.djMode === "collaborative";
+      const hotSeatChanged = djMode === "hotSeat" &&
+        (session.djMode !== "hotSeat" || songsPerDJ !== session.hotSeatSongsPerDJ);
+      session.djMode = djMode;
+      session.hotSeatSongsPerDJ = songsPerDJ;
+      if (hotSeatChanged) session.hotSeatSongsRemaining = songsPerDJ;
+      if (wasCollaborative) {
+        // Back to insertion order — votes stay on the entries for a later switch back
+        session.queue.sort((a, b) => (a.addedAt ?? 0) - (b.addedAt ?? 0));
+      }
+      orderQueue(session);
       session.sequence++;
+      persistSession(session);
 
       broadcastToSession(session, {
-        type: "queueUpdate",
-        data: { queue: session.queue },
+        type: "djModeChanged",
+        data: {
+          djMode: session.djMode,
+          hotSeatSongsPerDJ: session.hotSeatSongsPerDJ,
+          hotSeatSongsRemaining: session.hotSeatSongsRemaining,
+          queue: session.queue,
+        },
         epoch: session.epoch,
         seq: session.sequence,
         timestamp: Date.now(),
@@ -609,7 +2011,8 @@ function handleMessage(session, senderId, msg) {
     }
 
     case "driftReport": {
-      // Client reports its drift — relay to DJ for monitoring
+      // Client reports its drift — keep it for sync telemetry and relay to DJ for monitoring
+      recordDriftReport(session, senderId, msg.data);
       const djMember = session.members.get(session.djUserId);
       if (djMember?.ws?.readyState === 1) {
         djMember.ws.send(JSON.stringify({
@@ -635,20 +2038,57 @@ function handleMessage(session, senderId, msg) {
       }
       break;
     }
+
+    case "clockProbeReply": {
+      // Answer to a server-initiated clockProbe — NTP-style four-timestamp sample
+      const member = session.members.get(senderId);
+      if (member) recordClockSample(member, msg.data);
+      break;
+    }
   }
 }
 
 // --- Helpers ---
 
-function createSession(creatorId) {
+function createSession(creatorId, {
+  djMode = "solo",
+  hotSeatSongsPerDJ = DEFAULT_HOT_SEAT_SONGS,
+  planetId = null,
+  visibility = "public",
+  passcode = null,
+  codeFormat = "numeric",
+  fairQueue = false,
+  maxPendingPerMember = MAX_PENDING_PER_MEMBER,
+} = {}) {
   const id = crypto.randomUUID();
-  const joinCode = generateJoinCode();
+  const joinCode = generateJoinCode(codeFormat);
+  const now = Date.now();
 
   const session = {
     id,
     joinCode,
     creatorId,
     djUserId: creatorId,
+    planetId,
+    djMode,
+    hotSeatSongsPerDJ,
+    hotSeatSongsRemaining: hotSeatSongsPerDJ,
+    rotationOrder: [creatorId],
+    roles: {},
+    bans: {},
+    visibility,
+    passcodeHash: null,
+    admitted: [creatorId],
+    pendingRequests: [],
+    currentPlay: null,
+    history: [],
+    stats: emptyStats(),
+    createdAt: now,
+    djSince: now,
+    replayBuffer: [],
+    drift: new Map(),
+    voiceUploads: new Map(),
+    voiceClips: [],
     members: new Map(),
     epoch: 0,
     sequence: 0,
@@ -657,17 +2097,148 @@ function createSession(creatorId) {
     positionMs: 0,
     positionTimestamp: 0,
     queue: [],
+    fairQueue,
+    maxPendingPerMember,
     lastActivity: Date.now(),
     codeCreatedAt: Date.now(),
+    codeFormat,
+    codeExpiryWarned: false,
+    codeTimer: null,
     advancementTimer: null,
     destroyTimeout: null,
+    djRequest: null,
+    kickedUntil: new Map(),
   };
 
+  if (passcode !== null) session.passcodeHash = hashPasscode(session, passcode);
   sessions.set(id, session);
   codeIndex.set(joinCode, id);
+  announceSession(session);
+  scheduleCodeRotation(session);
+  persistSession(session);
   return session;
 }
 
+// --- Persistence ---
+
+/** Durable subset of a session — members, sockets and timers are rebuilt at runtime */
+function sessionRecord(session) {
+  return {
+    id: session.id,
+    joinCode: session.joinCode,
+    creatorId: session.creatorId,
+    djUserId: session.djUserId,
+    planetId: session.planetId,
+    djMode: session.djMode,
+    hotSeatSongsPerDJ: session.hotSeatSongsPerDJ,
+    hotSeatSongsRemaining: session.hotSeatSongsRemaining,
+    rotationOrder: session.rotationOrder,
+    roles: session.roles,
+    bans: session.bans,
+    visibility: session.visibility,
+    passcodeHash: session.passcodeHash,
+    admitted: session.admitted,
+    epoch: session.epoch,
+    sequence: session.sequence,
+    currentTrack: session.currentTrack,
+    isPlaying: session.isPlaying,
+    positionMs: session.positionMs,
+    positionTimestamp: session.positionTimestamp,
+    queue: session.queue,
+    fairQueue: session.fairQueue,
+    maxPendingPerMember: session.maxPendingPerMember,
+    pendingRequests: session.pendingRequests,
+    currentPlay: session.currentPlay,
+    history: session.history,
+    stats: session.stats,
+    createdAt: session.createdAt,
+    djSince: session.djSince,
+    lastActivity: session.lastActivity,
+    codeCreatedAt: session.codeCreatedAt,
+    codeFormat: session.codeFormat,
+  };
+}
+
+function persistSession(session) {
+  if (!sessions.has(session.id)) return; // destroyed — don't resurrect it
+  try {
+    store.saveSession(sessionRecord(session));
+  } catch (err) {
+    log.error("store:save-session", { sessionId: session.id, err });
+  }
+}
+
+function persistUser(userId) {
+  try {
+    store.saveUser(userId, userRegistry.get(userId));
+  } catch (err) {
+    log.error("store:save-user", { userId, err });
+  }
+}
+
+/**
+ * Rehydrate users and sessions from the store on boot. Restored sessions have
+ * no connected members, so they start in the grace period; playing stations
+ * get their advancement timer re-armed from the stored position anchor.
+ */
+function restoreFromStore() {
+  for (const [userId, user] of store.loadUsers()) {
+    userRegistry.set(userId, { displayName: user.displayName, frequency: user.frequency });
+  }
+
+  for (const planet of store.loadPlanets()) {
+    planets.set(planet.id, planet);
+    planetInviteIndex.set(planet.inviteToken, planet.id);
+  }
+
+  for (const record of store.loadSessions()) {
+    const session = {
+      planetId: null,
+      djMode: "solo",
+      hotSeatSongsPerDJ: DEFAULT_HOT_SEAT_SONGS,
+      hotSeatSongsRemaining: DEFAULT_HOT_SEAT_SONGS,
+      rotationOrder: [record.creatorId],
+      roles: {},
+      bans: {},
+      visibility: "public",
+      passcodeHash: null,
+      admitted: [record.creatorId],
+      codeFormat: "numeric",
+      fairQueue: false,
+      maxPendingPerMember: MAX_PENDING_PER_MEMBER,
+      pendingRequests: [],
+      currentPlay: null,
+      history: [],
+      stats: emptyStats(),
+      createdAt: record.codeCreatedAt,
+      djSince: record.codeCreatedAt,
+      ...record,
+      replayBuffer: [],
+      drift: new Map(),
+      voiceUploads: new Map(),
+      voiceClips: [],
+      members: new Map(),
+      codeExpiryWarned: false,
+      codeTimer: null,
+      advancementTimer: null,
+      destroyTimeout: null,
+      djRequest: null,
+      kickedUntil: new Map(),
+    };
+    sessions.set(session.id, session);
+    codeIndex.set(session.joinCode, session.id);
+    announceSession(session);
+    scheduleCodeRotation(session);
+    scheduleAdvancement(session);
+    // Even an idle station gets the grace period: its crew is reconnecting after our restart
+    startGracePeriod(session);
+  }
+
+  if (sessions.size > 0 || userRegistry.size > 0) {
+    log.info("store:restore", { sessions: sessions.size, users: userRegistry.size, store: store.name });
+  }
+}
+
 // --- Autonomous Queue Advancement ---
 
 function scheduleAdvancement(session) {
@@ -699,81 +2270,873 @@ function clearAdvancement(session) {
 }
 
 function advanceQueue(session) {
-  const nextTrack = session.queue.shift();
+  meters.queueAdvancements.inc();
+  finishPlay(session, { skipped: false });
+  const rotation = countHotSeatSong(session);
+  const nextTrack = nextFromQueue(session);
   if (nextTrack) {
     session.currentTrack = nextTrack;
     session.positionMs = 0;
     session.positionTimestamp = Date.now();
     session.isPlaying = true;
+    startPlay(session);
     session.epoch++;
     session.sequence = 0;
     session.lastActivity = Date.now();
+    persistSession(session);
 
-    broadcastToSession(session, {
-      type: "stateSync",
-      data: sessionSnapshot(session),
-      epoch: session.epoch,
-      seq: session.sequence,
-      timestamp: Date.now(),
-    });
+    broadcastStateSync(session);
+    if (rotation) broadcastDJRotated(session, rotation);
 
     scheduleAdvancement(session);
   } else {
     // Queue empty — station goes idle, keep currentTrack for "last played" context
     session.isPlaying = false;
     session.lastActivity = Date.now();
+    session.sequence++;
+    persistSession(session);
 
-    broadcastToSession(session, {
-      type: "stateSync",
-      data: sessionSnapshot(session),
-      epoch: session.epoch,
-      seq: ++session.sequence,
-      timestamp: Date.now(),
+    broadcastStateSync(session);
+    if (rotation) broadcastDJRotated(session, rotation);
+  }
+}
+
+// --- Play History ---
+
+/** Open a history record for the track that just became currentTrack */
+function startPlay(session) {
+  const now = Date.now();
+  session.currentPlay = {
+    track: session.currentTrack,
+    addedBy: session.currentTrack.addedBy || session.djUserId,
+    djUserId: session.djUserId,
+    startedAt: now,
+    playedMs: 0,
+    resumedAt: session.isPlaying ? now : null,
+  };
+}
+
+function markPlaying(session) {
+  const play = session.currentPlay;
+  if (play && play.resumedAt === null) play.resumedAt = Date.now();
+}
+
+function markPaused(session) {
+  const play = session.currentPlay;
+  if (play?.resumedAt) {
+    play.playedMs += Date.now() - play.resumedAt;
+    play.resumedAt = null;
+  }
+}
+
+/**
+ * Close the open history record and append it to both the session history
+ * and the owner's station history (which outlives the session).
+ */
+function finishPlay(session, { skipped, interrupted = false }) {
+  const play = session.currentPlay;
+  if (!play) return;
+  markPaused(session);
+  session.currentPlay = null;
+
+  const entry = {
+    sessionId: session.id,
+    trackId: play.track.id,
+    track: play.track,
+    addedBy: play.addedBy,
+    djUserId: play.djUserId,
+    startedAt: play.startedAt,
+    endedAt: Date.now(),
+    playedMs: play.playedMs,
+    skipped,
+    interrupted,
+    visibility: session.visibility,
+  };
+  session.history.push(entry);
+  if (session.history.length > MAX_SESSION_HISTORY) session.history.shift();
+  session.stats.tracksPlayed++;
+  session.stats.listeningMs += entry.playedMs;
+  if (skipped) session.stats.skips++;
+
+  try {
+    store.appendStationHistory(session.creatorId, entry);
+  } catch (err) {
+    log.error("store:append-history", { sessionId: session.id, userId: session.creatorId, err });
+  }
+}
+
+// --- Session Recap ---
+
+function emptyStats() {
+  return {
+    listeningMs: 0,
+    tracksPlayed: 0,
+    skips: 0,
+    peakListeners: 0,
+    tracksAdded: {},
+    djMs: {},
+    votesCast: {},
+  };
+}
+
+function countStat(table, userId, delta) {
+  table[userId] = Math.max(0, (table[userId] || 0) + delta);
+}
+
+/** Hand the DJ role to userId, closing out the previous DJ's stint for the recap */
+function assignDJ(session, userId) {
+  resolveDJRequest(session, "cancelled"); // whoever asked, they asked someone who's no longer DJ
+  const now = Date.now();
+  countStat(session.stats.djMs, session.djUserId, now - session.djSince);
+  session.djUserId = userId;
+  session.djSince = now;
+}
+
+function displayNameOf(session, userId) {
+  return session.members.get(userId)?.displayName || userRegistry.get(userId)?.displayName || userId;
+}
+
+/** Top entry of a userId → count table as { userId, displayName, count }, or null */
+function leaderOf(session, table) {
+  const [userId, count] = Object.entries(table).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!userId || count <= 0) return null;
+  return { userId, displayName: displayNameOf(session, userId), count };
+}
+
+/**
+ * Aggregate stats for SessionRecapView. Includes the in-progress track and
+ * the current DJ's running stint without closing them out.
+ */
+function sessionRecap(session) {
+  const now = Date.now();
+  const { stats } = session;
+
+  const djMs = { ...stats.djMs };
+  djMs[session.djUserId] = (djMs[session.djUserId] || 0) + (now - session.djSince);
+
+  const play = session.currentPlay;
+  const inProgressMs = play ? play.playedMs + (play.resumedAt ? now - play.resumedAt : 0) : 0;
+
+  // Top track: most plays, then most time played
+  const trackTally = new Map();
+  for (const entry of session.history) {
+    const tally = trackTally.get(entry.trackId) || { track: entry.track, plays: 0, playedMs: 0 };
+    tally.plays++;
+    tally.playedMs += entry.playedMs;
+    trackTally.set(entry.trackId, tally);
+  }
+  const topTrack = Array.from(trackTally.values())
+    .sort((a, b) => (b.plays - a.plays) || (b.playedMs - a.playedMs))[0] || null;
+
+  const memberIds = new Set([
+    ...session.members.keys(),
+    ...Object.keys(djMs),
+    ...Object.keys(stats.tracksAdded),
+    ...Object.keys(stats.votesCast),
+  ]);
+  const leaderboard = Array.from(memberIds)
+    .map((userId) => ({
+      userId,
+      displayName: displayNameOf(session, userId),
+      djMinutes: Math.round((djMs[userId] || 0) / 60_000),
+      djMs: djMs[userId] || 0,
+      tracksAdded: stats.tracksAdded[userId] || 0,
+      votesCast: stats.votesCast[userId] || 0,
+    }))
+    .sort((a, b) => b.djMs - a.djMs);
+
+  const topDJ = leaderboard[0]?.djMs > 0
+    ? { userId: leaderboard[0].userId, displayName: leaderboard[0].displayName, minutes: leaderboard[0].djMinutes }
+    : null;
+
+  return {
+    sessionId: session.id,
+    startedAt: session.createdAt,
+    durationMs: now - session.createdAt,
+    listeningMs: stats.listeningMs + inProgressMs,
+    totalTimeMinutes: Math.round((stats.listeningMs + inProgressMs) / 60_000),
+    tracksPlayed: stats.tracksPlayed + (play ? 1 : 0),
+    skips: stats.skips,
+    peakListeners: stats.peakListeners,
+    topTrack: topTrack && { ...topTrack.track, plays: topTrack.plays },
+    highlights: {
+      topDJ,
+      mostRequests: leaderOf(session, stats.tracksAdded),
+      voteMachine: leaderOf(session, stats.votesCast),
+    },
+    leaderboard,
+  };
+}
+
+// --- Clock Sync Measurement ---
+//
+// The server probes each device: clockProbe carries t0 (server send), the
+// client answers with t1 (client receive) and t2 (client send), and we stamp
+// t3 on arrival. rtt = (t3 - t0) - (t2 - t1), offset = ((t1 - t0) + (t2 - t3)) / 2.
+
+function startClockProbes(session, userId, ws) {
+  let sent = 0;
+  const tick = () => {
+    const member = session.members.get(userId);
+    if (member?.ws !== ws || ws.readyState !== 1) return;
+    sendClockProbe(member);
+    if (++sent < CLOCK_PROBE_BURST) setTimeout(tick, CLOCK_PROBE_SPACING_MS);
+  };
+  tick();
+}
+
+function sendClockProbe(member) {
+  if (member.ws.readyState !== 1 || !supports(member.protocol, "clockProbe")) return;
+  const now = Date.now();
+  for (const [probeId, sentAt] of member.clock.pending) {
+    if (now - sentAt > CLOCK_PROBE_TIMEOUT_MS) member.clock.pending.delete(probeId);
+  }
+
+  const probeId = member.clock.nextProbeId++;
+  member.clock.pending.set(probeId, now);
+  member.ws.send(JSON.stringify({
+    type: "clockProbe",
+    data: { probeId, serverSendTime: now },
+  }));
+}
+
+function recordClockSample(member, data) {
+  const receivedAt = Date.now();
+  const sentAt = member.clock.pending.get(data.probeId);
+  if (sentAt === undefined) return; // unknown or timed-out probe
+  member.clock.pending.delete(data.probeId);
+
+  const { clientReceiveTime, clientSendTime } = data;
+  if (clientSendTime < clientReceiveTime) return;
+
+  const rttMs = (receivedAt - sentAt) - (clientSendTime - clientReceiveTime);
+  if (rttMs < 0) return;
+  const offsetMs = ((clientReceiveTime - sentAt) + (clientSendTime - receivedAt)) / 2;
+
+  member.clock.samples.push({ rttMs, offsetMs, at: receivedAt });
+  if (member.clock.samples.length > CLOCK_SAMPLE_WINDOW) member.clock.samples.shift();
+  member.clock.estimate = estimateClock(member.clock.samples);
+}
+
+/**
+ * NTP-style clock filter: low-RTT samples carry the least queuing delay, so
+ * the offset is the median over the best half by RTT.
+ */
+function estimateClock(samples) {
+  const byRtt = samples.slice().sort((a, b) => a.rttMs - b.rttMs);
+  const best = byRtt.slice(0, Math.ceil(byRtt.length / 2));
+  const rtts = samples.map((s) => s.rttMs);
+  const meanRtt = rtts.reduce((sum, r) => sum + r, 0) / rtts.length;
+  const jitter = Math.sqrt(rtts.reduce((sum, r) => sum + (r - meanRtt) ** 2, 0) / rtts.length);
+
+  return {
+    rttMs: round1(median(rtts)),
+    rttMinMs: round1(byRtt[0].rttMs),
+    offsetMs: round1(median(best.map((s) => s.offsetMs))),
+    jitterMs: round1(jitter),
+    samples: samples.length,
+    updatedAt: Date.now(),
+  };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// --- Drift Telemetry ---
+//
+// driftReport carries the position a device was at when its NTP clock read
+// ntpTimestamp. Comparing that with the session's anchored position gives
+// the device's drift, which we classify with the same tiers the client uses
+// to correct it.
+
+function recordDriftReport(session, userId, data) {
+  if (!session.isPlaying || !session.currentTrack) return;
+  if (data.trackId !== session.currentTrack.id) return; // stale report from the previous track
+
+  const { positionMs, ntpTimestamp } = data;
+
+  const expectedMs = session.positionMs + (ntpTimestamp - session.positionTimestamp);
+  const driftMs = Math.round(positionMs - expectedMs);
+  const magnitude = Math.abs(driftMs);
+  const correction = magnitude >= DRIFT_HARD_SEEK_MS ? "seek" : magnitude >= DRIFT_RATE_ADJUST_MS ? "rate" : "none";
+
+  const samples = session.drift.get(userId) || [];
+  samples.push({ trackId: data.trackId, driftMs, correction, at: Date.now() });
+  if (samples.length > DRIFT_SAMPLE_WINDOW) samples.shift();
+  session.drift.set(userId, samples);
+}
+
+/** p50/p95 of absolute drift plus correction counts over a set of samples */
+function driftSummary(samples) {
+  const magnitudes = samples.map((d) => Math.abs(d.driftMs));
+  return {
+    reports: samples.length,
+    p50DriftMs: samples.length ? percentile(magnitudes, 50) : null,
+    p95DriftMs: samples.length ? percentile(magnitudes, 95) : null,
+    hardSeeks: samples.filter((d) => d.correction === "seek").length,
+    rateAdjustments: samples.filter((d) => d.correction === "rate").length,
+  };
+}
+
+/** Sync quality for a session, overall and per member — served by GET /admin/sessions/:id/sync */
+function sessionSyncReport(session) {
+  const members = [];
+  for (const [userId, samples] of session.drift) {
+    members.push({
+      userId,
+      displayName: displayNameOf(session, userId),
+      connected: session.members.has(userId),
+      ...driftSummary(samples),
+      lastDriftMs: samples[samples.length - 1]?.driftMs ?? null,
+      series: samples.map((d) => ({ driftMs: d.driftMs, correction: d.correction, at: d.at })),
     });
   }
+
+  return {
+    sessionId: session.id,
+    trackId: session.currentTrack?.id || null,
+    ...driftSummary([...session.drift.values()].flat()),
+    members,
+  };
+}
+
+/** Nearest-rank percentile */
+function percentile(values, p) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+// --- Reconnect Replay ---
+
+/**
+ * Broadcasts a reconnecting member missed since `from`, oldest first, or null
+ * when a full stateSync is needed instead: the epoch moved on, the gap is
+ * older than the ring buffer, or the gap holds a stateSync (a snapshot
+ * anyway). Membership events about the member themselves are dropped.
+ */
+function missedBroadcasts(session, userId, from) {
+  if (from.epoch !== session.epoch) return null;
+  if (from.seq > session.sequence) return null;
+
+  const gap = session.replayBuffer
+    .filter((b) => b.epoch === from.epoch && b.seq > from.seq)
+    .map((b) => ({ ...b, message: JSON.parse(b.payload) }));
+  const expected = session.sequence - from.seq;
+  const contiguous = gap.length === expected && gap.every((b, i) => b.seq === from.seq + 1 + i);
+  if (!contiguous) return null;
+  if (gap.some((b) => b.message.type === "stateSync")) return null;
+
+  return gap
+    .filter((b) => b.excludeUserId !== userId)
+    .filter((b) => !(["memberJoined", "memberLeft"].includes(b.message.type) && b.message.data?.userId === userId))
+    .map((b) => b.message);
+}
+
+// --- Voice Clips ---
+
+/** Drop relayed clips past retention or over the byte budget, and uploads that never finished */
+function pruneVoiceClips(session) {
+  const now = Date.now();
+  session.voiceClips = session.voiceClips.filter((c) => now - c.createdAt < VOICE_CLIP_RETENTION_MS);
+  let bytes = session.voiceClips.reduce((sum, c) => sum + c.data.length, 0);
+  while (bytes > VOICE_CLIP_RETENTION_BYTES) bytes -= session.voiceClips.shift().data.length;
+  for (const [clipId, upload] of session.voiceUploads) {
+    if (now - upload.startedAt > VOICE_UPLOAD_TIMEOUT_MS) session.voiceUploads.delete(clipId);
+  }
+}
+
+// --- Planets ---
+
+function createPlanet(ownerId, name, frequency) {
+  const planet = {
+    id: crypto.randomUUID(),
+    name,
+    ownerId,
+    createdAt: Date.now(),
+    inviteToken: generateInviteToken(),
+    members: {},
+  };
+  planets.set(planet.id, planet);
+  planetInviteIndex.set(planet.inviteToken, planet.id);
+  addPlanetMember(planet, ownerId, frequency);
+  return planet;
+}
+
+/** Add a member at `frequency`, or at the planet's first free frequency */
+function addPlanetMember(planet, userId, frequency) {
+  planet.members[userId] = {
+    frequency: frequency ?? assignFrequency(planetFrequencies(planet)),
+    joinedAt: Date.now(),
+  };
+  persistPlanet(planet);
+}
+
+function planetFrequencies(planet) {
+  return new Set(Object.values(planet.members).map((m) => m.frequency));
+}
+
+function destroyPlanet(planet) {
+  planets.delete(planet.id);
+  planetInviteIndex.delete(planet.inviteToken);
+  try {
+    store.deletePlanet(planet.id);
+  } catch (err) {
+    log.error("store:delete-planet", { planetId: planet.id, err });
+  }
+}
+
+function persistPlanet(planet) {
+  try {
+    store.savePlanet(planet);
+  } catch (err) {
+    log.error("store:save-planet", { planetId: planet.id, err });
+  }
+}
+
+function generateInviteToken() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+/** Planet as seen by one of its members, including their own frequency */
+function planetView(planet, viewerId) {
+  return {
+    id: planet.id,
+    name: planet.name,
+    ownerId: planet.ownerId,
+    createdAt: planet.createdAt,
+    myFrequency: planet.members[viewerId]?.frequency ?? null,
+    members: Object.entries(planet.members).map(([userId, m]) => ({
+      userId,
+      displayName: userRegistry.get(userId)?.displayName || userId,
+      frequency: m.frequency,
+      joinedAt: m.joinedAt,
+    })),
+  };
+}
+
+// --- Visibility ---
+//
+// public   — on its dial (Discover, or its planet's), joinable by code or id
+// planet   — planet stations only: the planet's members, nobody else
+// private  — never listed; the join code is the only way in
+// passcode — listed with a lock; either join endpoint needs the passcode
+//
+// Anyone who got in once is remembered in session.admitted, so tightening
+// visibility mid-session never locks out the crew already listening.
+
+/** Problem with a requested visibility setting, or null if it's acceptable */
+function checkVisibility(visibility, passcode, planetId) {
+  if (!VISIBILITIES.includes(visibility)) return `visibility must be one of ${VISIBILITIES.join(", ")}`;
+  if (visibility === "planet" && !planetId) return "Only planet stations can be planet-only";
+  if (visibility !== "passcode") return passcode === null ? null : "passcode only applies to passcode stations";
+  if (typeof passcode !== "string" || passcode.length < MIN_PASSCODE_LENGTH || passcode.length > MAX_PASSCODE_LENGTH) {
+    return `passcode must be ${MIN_PASSCODE_LENGTH}-${MAX_PASSCODE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function hashPasscode(session, passcode) {
+  return crypto.createHash("sha256").update(`${session.id}:${passcode}`).digest("hex");
+}
+
+function passcodeMatches(session, passcode) {
+  if (!session.passcodeHash || typeof passcode !== "string") return false;
+  const given = Buffer.from(hashPasscode(session, passcode), "hex");
+  return crypto.timingSafeEqual(given, Buffer.from(session.passcodeHash, "hex"));
+}
+
+/** Whether userId may connect with nothing more than the session id */
+function mayEnter(session, userId) {
+  if (session.admitted.includes(userId)) return true;
+  switch (session.visibility) {
+    case "public": return true;
+    case "planet": return Boolean(planets.get(session.planetId)?.members[userId]);
+    default: return false;
+  }
+}
+
+/**
+ * Why a join request is turned away, as a 403 body, or null to let it in.
+ * @param {{viaCode: boolean, passcode?: string}} attempt
+ */
+function admissionRefusal(session, userId, { viaCode, passcode }) {
+  if (mayEnter(session, userId)) return null;
+  switch (session.visibility) {
+    case "planet":
+      return { error: "This station is only open to its planet" };
+    case "private":
+      return viaCode ? null : { error: "This station can only be joined by code" };
+    case "passcode":
+      return passcodeMatches(session, passcode) ? null : { error: "Passcode required", passcodeRequired: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Admission check for both join routes, answering the refusal itself.
+ * Wrong passcodes are limited per session and IP — a 4-character passcode
+ * wouldn't survive guessing at request speed otherwise.
+ * @returns {boolean} true if the request was refused
+ */
+function refuseAdmission(req, res, session, viaCode) {
+  const failureKey = `${session.id}:${req.ip || req.socket.remoteAddress}`;
+  if (!checkRateLimit(passcodeFailureLog, failureKey, MAX_PASSCODE_FAILURES_PER_MIN, 60 * 1000)) {
+    meters.rateLimitRejections.inc({ route: req.path });
+    res.status(429).json({ error: "Too many wrong passcodes. Try again later." });
+    return true;
+  }
+
+  const refusal = admissionRefusal(session, req.user.sub, { viaCode, passcode: req.body.passcode });
+  if (!refusal) return false;
+  if (refusal.passcodeRequired && req.body.passcode !== undefined) recordRateLimit(passcodeFailureLog, failureKey);
+  res.status(403).json(refusal);
+  return true;
+}
+
+function admit(session, userId) {
+  if (session.admitted.includes(userId)) return;
+  session.admitted.push(userId);
+  persistSession(session);
+}
+
+// --- DJ Handoff ---
+//
+// Every change of DJ other than a Hot Seat rotation goes through handOffDJ:
+// the DJ passing the aux (transferDJ), approving a listener's requestDJ, or
+// the server promoting someone when the DJ drops. Each starts a new epoch
+// and announces itself with djChanged, then a fresh stateSync so the new DJ
+// gets their request inbox and older builds pick up the change.
+
+/** @param {"transfer"|"request"|"djLeft"} reason */
+function handOffDJ(session, userId, reason) {
+  const previousDjUserId = session.djUserId;
+  assignDJ(session, userId);
+  session.hotSeatSongsRemaining = session.hotSeatSongsPerDJ;
+  session.epoch++;
+  session.sequence = 0;
+  persistSession(session);
+  log.info("dj:handoff", { sessionId: session.id, from: previousDjUserId, to: userId, reason });
+
+  broadcastToSession(session, {
+    type: "djChanged",
+    data: { previousDjUserId, djUserId: userId, djDisplayName: displayNameOf(session, userId), reason },
+    epoch: session.epoch,
+    seq: ++session.sequence,
+    timestamp: Date.now(),
+  });
+  broadcastStateSync(session);
+}
+
+/**
+ * Close out the pending requestDJ, telling both the requester and the DJ
+ * they asked how it ended.
+ * @param {"approved"|"denied"|"timeout"|"cancelled"} outcome
+ */
+function resolveDJRequest(session, outcome) {
+  const request = session.djRequest;
+  if (!request) return;
+  clearTimeout(request.timer);
+  session.djRequest = null;
+
+  const message = {
+    type: "djRequestResolved",
+    data: { userId: request.userId, outcome },
+    timestamp: Date.now(),
+  };
+  sendToMember(session, request.userId, message);
+  sendToMember(session, request.djUserId, message);
+}
+
+// --- Hot Seat Rotation ---
+
+function isValidPendingCap(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_QUEUE_SIZE;
+}
+
+function isValidHotSeatSongs(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_HOT_SEAT_SONGS;
+}
+
+/**
+ * Count a finished track against the current DJ's Hot Seat turn. When the
+ * turn is used up, hand the DJ role to the next connected member in
+ * rotation order and bump the epoch. Returns { previousDjUserId } when the
+ * role moved, null otherwise.
+ */
+function countHotSeatSong(session) {
+  if (session.djMode !== "hotSeat") return null;
+
+  session.hotSeatSongsRemaining = Math.max(0, session.hotSeatSongsRemaining - 1);
+  if (session.hotSeatSongsRemaining > 0) return null;
+
+  session.hotSeatSongsRemaining = session.hotSeatSongsPerDJ;
+  const nextDJ = nextHotSeatDJ(session);
+  if (nextDJ === session.djUserId) return null;
+
+  const previousDjUserId = session.djUserId;
+  assignDJ(session, nextDJ);
+  meters.djPromotions.inc({ reason: "hotSeat" });
+  session.epoch++;
+  session.sequence = 0;
+  log.info("hotseat:rotate", { sessionId: session.id, from: previousDjUserId, to: nextDJ });
+  return { previousDjUserId };
+}
+
+/** Next connected member after the current DJ in first-join order, wrapping around */
+function nextHotSeatDJ(session) {
+  const order = session.rotationOrder;
+  const start = order.indexOf(session.djUserId);
+  for (let i = 1; i <= order.length; i++) {
+    const candidate = order[(start + i) % order.length];
+    if (session.members.has(candidate)) return candidate;
+  }
+  return session.djUserId;
+}
+
+function broadcastDJRotated(session, { previousDjUserId }) {
+  broadcastToSession(session, {
+    type: "djRotated",
+    data: {
+      previousDjUserId,
+      djUserId: session.djUserId,
+      djDisplayName: session.members.get(session.djUserId)?.displayName || session.djUserId,
+      hotSeatSongsPerDJ: session.hotSeatSongsPerDJ,
+      hotSeatSongsRemaining: session.hotSeatSongsRemaining,
+    },
+    epoch: session.epoch,
+    seq: ++session.sequence,
+    timestamp: Date.now(),
+  });
+}
+
+// --- Queue Ordering ---
+
+/**
+ * Keep session.queue in effective play order, so queueUpdate always shows
+ * what plays next. Collab Queue sorts by votes, oldest entry first on ties;
+ * other modes keep insertion order.
+ */
+function orderQueue(session) {
+  if (session.djMode === "collaborative") {
+    session.queue.sort((a, b) => ((b.votes ?? 0) - (a.votes ?? 0)) || ((a.addedAt ?? 0) - (b.addedAt ?? 0)));
+  }
+  if (session.fairQueue) session.queue = interleaveByMember(session.queue);
+}
+
+/**
+ * Fair order: everyone's first pick, then everyone's second, and so on —
+ * members taking turns in the order their first entry appears. Each
+ * member's own picks keep their relative order, so this is idempotent.
+ */
+function interleaveByMember(queue) {
+  const lanes = new Map();
+  for (const entry of queue) {
+    if (!lanes.has(entry.addedBy)) lanes.set(entry.addedBy, []);
+    lanes.get(entry.addedBy).push(entry);
+  }
+  const ordered = [];
+  for (let round = 0; ordered.length < queue.length; round++) {
+    for (const lane of lanes.values()) {
+      if (round < lane.length) ordered.push(lane[round]);
+    }
+  }
+  return ordered;
+}
+
+/** Entries a member has waiting in the queue, for the per-member cap */
+function pendingCount(session, userId) {
+  return session.queue.reduce((count, t) => count + (t.addedBy === userId ? 1 : 0), 0);
+}
+
+function nextFromQueue(session) {
+  orderQueue(session);
+  return session.queue.shift();
+}
+
+function broadcastQueueUpdate(session) {
+  orderQueue(session);
+  session.sequence++;
+  persistSession(session);
+
+  broadcastToSession(session, {
+    type: "queueUpdate",
+    data: { queue: session.queue },
+    epoch: session.epoch,
+    seq: session.sequence,
+    timestamp: Date.now(),
+  });
 }
 
 function destroyOrGrace(session) {
   if (session.queue.length > 0 || session.isPlaying) {
-    if (!session.destroyTimeout) {
-      session.destroyTimeout = setTimeout(() => {
-        destroySession(session.id);
-      }, GRACE_PERIOD_MS);
-    }
+    startGracePeriod(session);
   } else {
-    destroySession(session.id);
+    destroySession(session.id, "empty");
   }
 }
 
-function destroySession(sessionId) {
+function startGracePeriod(session) {
+  if (session.destroyTimeout) return;
+  session.destroyTimeout = setTimeout(() => {
+    destroySession(session.id, "grace");
+  }, GRACE_PERIOD_MS);
+}
+
+/** @param {"empty"|"grace"|"idle"|"admin"} reason - for the session_destroys_total metric */
+function destroySession(sessionId, reason) {
   const session = sessions.get(sessionId);
   if (!session) return;
+  meters.sessionDestroys.inc({ reason });
+  finishPlay(session, { skipped: false, interrupted: true }); // cut off by teardown, not played out
+
+  // Final recap for anyone still connected, before the session disappears
+  broadcastToSession(session, {
+    type: "sessionRecap",
+    data: sessionRecap(session),
+    timestamp: Date.now(),
+  });
+
   clearAdvancement(session);
   if (session.destroyTimeout) {
     clearTimeout(session.destroyTimeout);
     session.destroyTimeout = null;
   }
+  if (session.djRequest) clearTimeout(session.djRequest.timer);
+  clearTimeout(session.codeTimer);
   codeIndex.delete(session.joinCode);
   sessions.delete(sessionId);
+  retireSession(session);
+  try {
+    store.deleteSession(sessionId);
+  } catch (err) {
+    log.error("store:delete-session", { sessionId, err });
+  }
+}
+
+/** Stop playback and broadcast the paused position — the DJ's pause, or a moderator's */
+function pauseSession(session) {
+  session.isPlaying = false;
+  clearAdvancement(session);
+  markPaused(session);
+  // Snapshot the position at pause time
+  if (session.positionTimestamp) {
+    const elapsed = Date.now() - session.positionTimestamp;
+    session.positionMs += elapsed;
+    session.positionTimestamp = Date.now();
+  }
+  session.sequence++;
+
+  persistSession(session);
+  broadcastToSession(session, {
+    type: "pause",
+    data: { positionMs: session.positionMs, ntpTimestamp: Date.now() },
+    epoch: session.epoch,
+    seq: session.sequence,
+    timestamp: Date.now(),
+  });
 }
 
-function generateJoinCode() {
+/** Swap in a fresh join code; the old one stops working immediately */
+function regenerateJoinCode(session) {
+  codeIndex.delete(session.joinCode);
+  directoryDel(`code:${session.joinCode}`);
+  session.joinCode = generateJoinCode(session.codeFormat);
+  session.codeCreatedAt = Date.now();
+  session.codeExpiryWarned = false;
+  codeIndex.set(session.joinCode, session.id);
+  announceSession(session);
+  scheduleCodeRotation(session);
+  session.sequence++;
+
+  persistSession(session);
+  broadcastToSession(session, {
+    type: "joinCodeChanged",
+    data: { joinCode: session.joinCode, codeCreatedAt: session.codeCreatedAt, codeExpiresAt: codeExpiresAt(session) },
+    epoch: session.epoch,
+    seq: session.sequence,
+    timestamp: Date.now(),
+  });
+}
+
+/** @param {"numeric"|"alphanumeric"} format */
+function generateJoinCode(format = "numeric") {
   let code;
   do {
-    code = String(Math.floor(1000 + Math.random() * 9000)); // 4-digit, 1000-9999
+    code = format === "alphanumeric"
+      ? Array.from(crypto.randomBytes(ALPHANUMERIC_CODE_LENGTH),
+        (byte) => ALPHANUMERIC_CODE_ALPHABET[byte % ALPHANUMERIC_CODE_ALPHABET.length]).join("")
+      : String(Math.floor(1000 + Math.random() * 9000)); // 4-digit, 1000-9999
   } while (codeIndex.has(code));
   return code;
 }
 
-function sessionSnapshot(session) {
-  return {
+function codeExpiresAt(session) {
+  return session.codeCreatedAt + CODE_EXPIRY_MS;
+}
+
+/**
+ * Arm the current code's next lifecycle step: a joinCodeExpiring heads-up,
+ * then an automatic regenerate just before expiry. Stations with nobody
+ * connected are left to expire; a member reconnecting refreshes the code.
+ */
+function scheduleCodeRotation(session) {
+  clearTimeout(session.codeTimer);
+  const expiresAt = codeExpiresAt(session);
+  const rotateAt = expiresAt - CODE_ROTATION_LEAD_MS;
+
+  if (!session.codeExpiryWarned) {
+    session.codeTimer = setTimeout(() => {
+      session.codeExpiryWarned = true;
+      if (session.members.size > 0) {
+        broadcastToSession(session, {
+          type: "joinCodeExpiring",
+          data: { joinCode: session.joinCode, codeExpiresAt: expiresAt, rotatesAt: rotateAt },
+          timestamp: Date.now(),
+        });
+      }
+      scheduleCodeRotation(session);
+    }, Math.max(0, expiresAt - CODE_EXPIRY_WARNING_MS - Date.now()));
+    return;
+  }
+
+  session.codeTimer = setTimeout(() => {
+    session.codeTimer = null;
+    if (session.members.size > 0) {
+      log.info("session:code-rotate", { sessionId: session.id });
+      regenerateJoinCode(session);
+    }
+  }, Math.max(0, rotateAt - Date.now()));
+}
+
+/**
+ * Public session state. Pass the viewer's userId to include DJ-only fields
+ * (the pending request inbox) when the viewer is the DJ.
+ */
+function sessionSnapshot(session, viewerId = null) {
+  const snapshot = {
     id: session.id,
     joinCode: session.joinCode,
+    codeExpiresAt: codeExpiresAt(session),
     creatorId: session.creatorId,
     djUserId: session.djUserId,
+    planetId: session.planetId,
+    visibility: session.visibility,
+    djMode: session.djMode,
+    hotSeatSongsPerDJ: session.hotSeatSongsPerDJ,
+    hotSeatSongsRemaining: session.hotSeatSongsRemaining,
     members: Array.from(session.members.values()).map((m) => ({
       userId: m.userId,
       displayName: m.displayName,
+      role: roleOf(session, m.userId),
     })),
     epoch: session.epoch,
     sequence: session.sequence,
@@ -782,17 +3145,84 @@ function sessionSnapshot(session) {
     positionMs: session.positionMs,
     positionTimestamp: session.positionTimestamp,
     queue: session.queue,
+    fairQueue: session.fairQueue,
+    maxPendingPerMember: session.maxPendingPerMember,
   };
+  if (viewerId && viewerId === session.djUserId) {
+    snapshot.pendingRequests = session.pendingRequests;
+  }
+  return snapshot;
+}
+
+/** Broadcast a full stateSync; the DJ's copy carries the pending request inbox */
+function broadcastStateSync(session) {
+  const message = {
+    type: "stateSync",
+    data: sessionSnapshot(session),
+    epoch: session.epoch,
+    seq: session.sequence,
+    timestamp: Date.now(),
+  };
+  broadcastToSession(session, message, session.djUserId);
+  sendToMember(session, session.djUserId, {
+    ...message,
+    data: sessionSnapshot(session, session.djUserId),
+  });
+}
+
+/** Put a listener's song in the DJ's inbox — requestTrack, or a legacy listener's addToQueue */
+function fileTrackRequest(session, senderId, msg) {
+  if (session.pendingRequests.length >= MAX_PENDING_REQUESTS) {
+    return rejectMessage(session, senderId, msg, "REQUESTS_FULL", `Request inbox is limited to ${MAX_PENDING_REQUESTS} songs`);
+  }
+  if (session.pendingRequests.some((r) => r.nonce === msg.data.nonce)) {
+    return rejectMessage(session, senderId, msg, "DUPLICATE_NONCE", "Request with this nonce is already pending");
+  }
+
+  session.pendingRequests.push({
+    nonce: msg.data.nonce,
+    track: msg.data.track,
+    requestedBy: senderId,
+    requestedByName: session.members.get(senderId)?.displayName || senderId,
+    requestedAt: Date.now(),
+  });
+  persistSession(session);
+  sendRequestsToDJ(session);
+}
+
+function sendRequestsToDJ(session) {
+  sendToMember(session, session.djUserId, {
+    type: "requestsUpdate",
+    data: { requests: session.pendingRequests },
+    timestamp: Date.now(),
+  });
+}
+
+function sendToMember(session, userId, message) {
+  const member = session.members.get(userId);
+  if (member?.ws?.readyState === 1 && supports(member.protocol, message.type)) {
+    member.ws.send(JSON.stringify(message));
+  }
 }
 
 function broadcastToSession(session, message, excludeUserId = null) {
+  const startedAt = process.hrtime.bigint();
   const payload = JSON.stringify(message);
+  if (Number.isInteger(message.epoch) && Number.isInteger(message.seq)) {
+    session.replayBuffer.push({ epoch: message.epoch, seq: message.seq, payload, excludeUserId });
+    if (session.replayBuffer.length > REPLAY_BUFFER_SIZE) session.replayBuffer.shift();
+  }
+
+  let recipients = 0;
   for (const [userId, member] of session.members) {
     if (userId === excludeUserId) continue;
-    if (member.ws.readyState === 1) {
+    if (member.ws.readyState === 1 && supports(member.protocol, message.type)) {
       member.ws.send(payload);
+      recipients++;
     }
   }
+  meters.broadcastFanout.observe(recipients);
+  meters.broadcastSeconds.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
 }
 
 function authenticateHTTP(req, res, next) {
@@ -809,6 +3239,25 @@ function authenticateHTTP(req, res, next) {
   }
 }
 
+/** Admin routes take `Authorization: Bearer <ADMIN_TOKEN>` — never a user JWT */
+function authenticateAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: "Admin API disabled (ADMIN_TOKEN not set)" });
+  }
+  const auth = req.headers.authorization;
+  if (!auth?.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Admin authorization required" });
+  }
+
+  // Compare digests so the check takes the same time whatever the input length
+  const given = crypto.createHash("sha256").update(auth.slice(7)).digest();
+  const expected = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+  if (!crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
 function checkRateLimit(log, key, maxCount, windowMs) {
   const now = Date.now();
   const timestamps = log.get(key) || [];
@@ -822,21 +3271,204 @@ function recordRateLimit(log, key) {
   log.set(key, timestamps.slice(-20)); // keep last 20 entries max
 }
 
+// --- Multi-Instance ---
+//
+// Each session lives on exactly one instance — its owner — which holds the
+// authoritative state and runs its timers. The bus carries two things:
+//
+// 1. A directory: `session:<id>` → owner instance, `code:<joinCode>` → id.
+//    HTTP joins for a session this instance doesn't own are answered 421
+//    with a `fly-replay` header, so Fly's proxy retries them on the owner.
+// 2. Relayed sockets: a WebSocket that lands on the wrong instance anyway
+//    is accepted there and bridged to the owner over `instance:<id>`
+//    channels. The owner drives a socket stand-in through the normal
+//    connection path, so broadcastToSession and friends don't know the
+//    difference.
+//
+// Events on an instance channel, by `kind`:
+//   relay → owner: open, message, closed, pong
+//   owner → relay: send, close, ping
+//
+// The owner's heartbeat goes through the relay like everything else, so a
+// relay that crashes or drops off the bus stops answering and its sockets
+// are expired by the ping loop like any other dead connection. The other way
+// round, a relay closes its client with 4013 once the owner has been silent
+// for OWNER_SILENCE_MS, and directory entries carry a TTL the owner keeps
+// refreshing — so a crashed owner stops attracting joins and the reconnect
+// lands somewhere that can serve it.
+
+/** @type {Map<string, WebSocket>} connId → client socket this instance relays to an owner */
+const relayedSockets = new Map();
+
+/** @type {Map<string, EventEmitter>} connId → stand-in for a client socket held by a relay */
+const remoteSockets = new Map();
+
+function directoryGet(key) {
+  return bus.get(key).catch((err) => {
+    log.error("pubsub:get", { key, err });
+    return null;
+  });
+}
+
+function directorySet(key, value) {
+  bus.set(key, value, DIRECTORY_TTL_MS).catch((err) => log.error("pubsub:set", { key, err }));
+}
+
+function directoryDel(key) {
+  bus.del(key).catch((err) => log.error("pubsub:del", { key, err }));
+}
+
+function publishTo(instanceId, event) {
+  bus.publish(`instance:${instanceId}`, event).catch((err) => log.error("pubsub:publish", { instanceId, err }));
+}
+
+/** Claim a session (and its current join code) for this instance */
+function announceSession(session) {
+  directorySet(`session:${session.id}`, INSTANCE_ID);
+  directorySet(`code:${session.joinCode}`, session.id);
+}
+
+function retireSession(session) {
+  directoryDel(`session:${session.id}`);
+  directoryDel(`code:${session.joinCode}`);
+}
+
+/** The instance hosting a session that isn't ours, or null if none does */
+async function remoteOwner(sessionId) {
+  const owner = await directoryGet(`session:${sessionId}`);
+  return owner && owner !== INSTANCE_ID ? owner : null;
+}
+
+function replayToOwner(res, owner) {
+  res.set("fly-replay", `instance=${owner}`);
+  return res.status(421).json({ error: "Session is hosted on another instance", instance: owner });
+}
+
+/** Bridge a client socket to the instance that owns its session */
+function relayConnection(ws) {
+  const { connId, relayTo } = ws;
+  relayedSockets.set(connId, ws);
+  ws.alive = true;
+  ws.ownerSeenAt = Date.now();
+  log.info("relay:open", { sessionId: ws.sessionId, connId, userId: ws.user.sub, owner: relayTo });
+
+  publishTo(relayTo, {
+    kind: "open",
+    connId,
+    relay: INSTANCE_ID,
+    sessionId: ws.sessionId,
+    user: ws.user,
+    resumeFrom: ws.resumeFrom,
+    handshake: { version: ws.handshake.version, capabilities: Array.from(ws.handshake.capabilities) },
+  });
+  ws.on("message", (raw) => publishTo(relayTo, { kind: "message", connId, raw: raw.toString() }));
+  ws.on("close", (code) => {
+    relayedSockets.delete(connId);
+    publishTo(relayTo, { kind: "closed", connId, code });
+  });
+  // Liveness of the client is the relay's job; the owner's pings only check the relay is still here
+  ws.on("pong", () => { ws.alive = true; });
+}
+
+/**
+ * Owner-side stand-in for a relayed client socket — the subset of the ws
+ * API the connection path uses, with sends and closes forwarded to the relay.
+ */
+function createRemoteSocket({ connId, relay, sessionId, user, resumeFrom, handshake }) {
+  const socket = new EventEmitter();
+  Object.assign(socket, {
+    connId,
+    sessionId,
+    user,
+    resumeFrom,
+    relayedBy: relay,
+    handshake: { version: handshake.version, capabilities: new Set(handshake.capabilities) },
+    readyState: 1,
+  });
+  socket.send = (payload) => {
+    if (socket.readyState === 1) publishTo(relay, { kind: "send", connId, payload });
+  };
+  socket.close = (code, reason) => {
+    if (socket.readyState !== 1) return;
+    socket.readyState = 2;
+    publishTo(relay, { kind: "close", connId, code, reason });
+    // Normally the relay's `closed` finishes this; don't wait on one that's gone
+    setTimeout(() => dropRemoteSocket(connId, 1006), PONG_TIMEOUT_MS).unref();
+  };
+  socket.terminate = () => {
+    publishTo(relay, { kind: "close", connId, code: 1001, reason: "Going away" });
+    dropRemoteSocket(connId, 1006);
+  };
+  socket.ping = () => publishTo(relay, { kind: "ping", connId });
+  return socket;
+}
+
+/** Finish closing a stand-in — on the relay's say-so, or because it stopped answering */
+function dropRemoteSocket(connId, code) {
+  const socket = remoteSockets.get(connId);
+  if (!socket) return;
+  remoteSockets.delete(connId);
+  socket.readyState = 3;
+  setImmediate(() => socket.emit("close", code)); // async, as with a real socket
+}
+
+function handleInstanceEvent(event) {
+  switch (event.kind) {
+    case "open": {
+      const socket = createRemoteSocket(event);
+      remoteSockets.set(event.connId, socket);
+      wss.emit("connection", socket);
+      break;
+    }
+    case "message":
+      remoteSockets.get(event.connId)?.emit("message", event.raw);
+      break;
+    case "closed":
+      dropRemoteSocket(event.connId, event.code);
+      break;
+    case "pong":
+      remoteSockets.get(event.connId)?.emit("pong");
+      break;
+    case "send": {
+      const ws = relayedSockets.get(event.connId);
+      if (!ws) break;
+      ws.ownerSeenAt = Date.now();
+      if (ws.readyState === 1) ws.send(event.payload);
+      break;
+    }
+    case "close":
+      relayedSockets.get(event.connId)?.close(event.code, event.reason);
+      break;
+    case "ping": {
+      const ws = relayedSockets.get(event.connId);
+      if (!ws) break;
+      ws.ownerSeenAt = Date.now();
+      publishTo(ws.relayTo, { kind: "pong", connId: event.connId });
+      break;
+    }
+    default:
+      log.warn("pubsub:unknown-event", { kind: event.kind });
+  }
+}
+
 // --- Ping/Pong + Idle Cleanup ---
 
 setInterval(() => {
+  if (shuttingDown) return;
   const now = Date.now();
 
   for (const [sessionId, session] of sessions) {
     // Idle timeout
     if (now - session.lastActivity > SESSION_IDLE_TIMEOUT_MS) {
+      destroySession(sessionId, "idle"); // sends the final recap before sockets close
       for (const member of session.members.values()) {
         member.ws.close(4008, "Session idle timeout");
       }
-      destroySession(sessionId);
       continue;
     }
 
+    pruneVoiceClips(session);
+
     // Ping all members
     for (const [userId, member] of session.members) {
       if (!member.alive) {
@@ -853,12 +3485,30 @@ setInterval(() => {
       }
       member.alive = false;
       member.ws.ping();
+      sendClockProbe(member);
     }
 
     if (session.members.size === 0) {
       destroyOrGrace(session);
     }
   }
+
+  // Keep this instance's directory entries from lapsing
+  for (const session of sessions.values()) announceSession(session);
+
+  for (const ws of relayedSockets.values()) {
+    if (!ws.alive) {
+      ws.terminate();
+      continue;
+    }
+    if (now - ws.ownerSeenAt > OWNER_SILENCE_MS) {
+      log.warn("relay:owner-silent", { sessionId: ws.sessionId, connId: ws.connId, owner: ws.relayTo });
+      ws.close(4013, "Station host unreachable");
+      continue;
+    }
+    ws.alive = false;
+    ws.ping();
+  }
 }, PING_INTERVAL_MS);
 
 // --- Rate limit cleanup every 5 minutes ---
@@ -875,10 +3525,80 @@ setInterval(() => {
     if (recent.length === 0) joinAttemptLog.delete(key);
     else joinAttemptLog.set(key, recent);
   }
+  for (const joinLog of [joinByIdAttemptLog, passcodeFailureLog]) {
+    for (const [key, timestamps] of joinLog) {
+      const recent = timestamps.filter((t) => now - t < 60 * 1000);
+      if (recent.length === 0) joinLog.delete(key);
+      else joinLog.set(key, recent);
+    }
+  }
+  for (const [key, timestamps] of voiceClipLog) {
+    const recent = timestamps.filter((t) => now - t < 60 * 1000);
+    if (recent.length === 0) voiceClipLog.delete(key);
+    else voiceClipLog.set(key, recent);
+  }
 }, 5 * 60 * 1000);
 
+// --- Graceful Shutdown ---
+//
+// On SIGTERM (a deploy, or Fly moving the machine) stop taking new work,
+// tell every listener a restart is coming, write each session through to the
+// store one last time, then close sockets with 4013 — the client's cue to
+// reconnect quietly instead of showing "signal lost". Sessions are left
+// intact rather than torn down, so a durable store brings them back on boot.
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info("server:shutdown", { signal, sessions: sessions.size, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  setTimeout(() => {
+    log.warn("server:shutdown-timeout", { openSockets: wss.clients.size });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  for (const session of sessions.values()) {
+    clearAdvancement(session);
+    clearTimeout(session.codeTimer);
+    if (session.destroyTimeout) {
+      clearTimeout(session.destroyTimeout);
+      session.destroyTimeout = null;
+    }
+    persistSession(session);
+    // Nothing outlives this process in the memory store — don't route anyone here
+    if (store.name === "memory") retireSession(session);
+
+    broadcastToSession(session, {
+      type: "serverRestarting",
+      data: { reconnectAfterMs: RESTART_RECONNECT_AFTER_MS },
+      timestamp: Date.now(),
+    });
+    for (const member of session.members.values()) {
+      member.ws.close(4013, "Server restarting");
+    }
+  }
+  // Clients relayed through here reconnect and land on a live instance
+  for (const ws of relayedSockets.values()) ws.close(4013, "Server restarting");
+
+  const closing = [...wss.clients].map((ws) => ws.readyState === 3 ? null : once(ws, "close"));
+  await Promise.all([
+    ...closing,
+    new Promise((resolve) => server.close(resolve)),
+  ]);
+  bus.close();
+  log.info("server:exit", { signal });
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 // --- Start ---
 
+restoreFromStore();
+
+bus.subscribe(`instance:${INSTANCE_ID}`, handleInstanceEvent)
+  .catch((err) => log.error("pubsub:subscribe", { instanceId: INSTANCE_ID, err }));
+
 server.listen(PORT, () => {
-  console.log(`[PirateRadio] Server listening on port ${PORT}`);
+  log.info("server:listening", { port: PORT, logFormat: LOG_FORMAT, instanceId: INSTANCE_ID, pubsub: bus.name });
 });
@@ -0,0 +1,106 @@
+// --- Logging ---
+//
+// Leveled, structured logger. Every line is an event name plus fields:
+//
+//   log.info("session:create", { sessionId, code });
+//   → INFO  [session:create] sessionId=… code=…           (text)
+//   → {"time":…,"level":"info","event":"session:create",…}  (json)
+//
+// child() returns a logger that stamps extra fields on every line — that is
+// how per-session and per-connection correlation ids ride along. sampled()
+// thins out high-frequency events. Fields named in `redact` (tokens, join
+// codes, display names) are masked before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_REDACT = [
+  "token", "authorization", "jwt", "adminToken", "joinCode", "previousJoinCode",
+  "displayName", "name", "djDisplayName", "senderName", "requestedByName",
+];
+
+const REDACTED = "[redacted]";
+
+/**
+ * Parse "ping=0.01,driftReport=0.1" into { ping: 0.01, driftReport: 0.1 }.
+ * Malformed entries are skipped.
+ */
+export function parseSampleRates(spec = "") {
+  const rates = {};
+  for (const entry of spec.split(",")) {
+    const [key, value] = entry.split("=").map((s) => s?.trim());
+    const rate = Number(value);
+    if (key && Number.isFinite(rate) && rate >= 0 && rate <= 1) rates[key] = rate;
+  }
+  return rates;
+}
+
+function redactFields(value, redact) {
+  if (value instanceof Error) return value.message;
+  if (Array.isArray(value)) return value.map((v) => redactFields(v, redact));
+  if (typeof value !== "object" || value === null) return value;
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    out[key] = redact.has(key) ? REDACTED : redactFields(v, redact);
+  }
+  return out;
+}
+
+function formatValue(value) {
+  if (typeof value === "object" && value !== null) return JSON.stringify(value);
+  const str = String(value);
+  return /[\s"=]/.test(str) ? JSON.stringify(str) : str;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {keyof LEVELS} [options.level="info"]
+ * @param {"text"|"json"} [options.format="text"]
+ * @param {Object<string, number>} [options.sampleRates] - event key → fraction of lines kept
+ * @param {string[]|false} [options.redact] - field names to mask; false disables redaction
+ * @param {{log: Function, error: Function}} [options.sink=console]
+ */
+export function createLogger({
+  level = "info",
+  format = "text",
+  sampleRates = {},
+  redact = DEFAULT_REDACT,
+  sink = console,
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const redactSet = new Set(redact || []);
+
+  function write(lineLevel, context, event, fields) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const data = redactFields({ ...context, ...fields }, redactSet);
+    const out = lineLevel === "error" || lineLevel === "warn" ? sink.error : sink.log;
+
+    if (format === "json") {
+      out(JSON.stringify({ time: new Date().toISOString(), level: lineLevel, event, ...data }));
+    } else {
+      const pairs = Object.entries(data).map(([k, v]) => `${k}=${formatValue(v)}`);
+      out([lineLevel.toUpperCase().padEnd(5), `[${event}]`, ...pairs].join(" "));
+    }
+  }
+
+  const noop = { debug() {}, info() {}, warn() {}, error() {} };
+
+  function build(context) {
+    const logger = {
+      debug: (event, fields) => write("debug", context, event, fields),
+      info: (event, fields) => write("info", context, event, fields),
+      warn: (event, fields) => write("warn", context, event, fields),
+      error: (event, fields) => write("error", context, event, fields),
+      child: (fields) => build({ ...context, ...fields }),
+      /** This logger for a `sampleRates[key]` fraction of calls, a no-op otherwise */
+      sampled: (key) => {
+        const rate = sampleRates[key] ?? 1;
+        return rate >= 1 || Math.random() < rate ? logger : noop;
+      },
+    };
+    return logger;
+  }
+
+  return build({});
+}
@@ -0,0 +1,95 @@
+// --- Metrics ---
+//
+// Minimal Prometheus text-format registry — counters, gauges and histograms
+// with optional labels, rendered by GET /metrics. Gauges can take a collect
+// callback so values like "active sessions" are read at scrape time instead
+// of being kept in sync by hand.
+
+/**
+ * @typedef {Object<string, string|number>} Labels
+ */
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  return {
+    inc(labels, by = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render() {
+      const lines = header(name, help, "counter");
+      if (values.size === 0 && labelNames.length === 0) lines.push(`${name} 0`);
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createGauge(name, help, collect) {
+  return {
+    render() {
+      return [...header(name, help, "gauge"), `${name} ${collect()}`];
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const counts = new Array(buckets.length).fill(0);
+  let sum = 0;
+  let count = 0;
+  return {
+    observe(value) {
+      for (let i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) counts[i]++;
+      }
+      sum += value;
+      count++;
+    },
+    render() {
+      const lines = header(name, help, "histogram");
+      buckets.forEach((bound, i) => lines.push(`${name}_bucket{le="${bound}"} ${counts[i]}`));
+      lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+      lines.push(`${name}_sum ${sum}`);
+      lines.push(`${name}_count ${count}`);
+      return lines;
+    },
+  };
+}
+
+/**
+ * A registry whose metrics render in registration order.
+ */
+export function createMetrics(prefix = "") {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help, labelNames) => register(createCounter(prefix + name, help, labelNames)),
+    gauge: (name, help, collect) => register(createGauge(prefix + name, help, collect)),
+    histogram: (name, help, buckets) => register(createHistogram(prefix + name, help, buckets)),
+    render: () => metrics.flatMap((m) => m.render()).join("\n") + "\n",
+  };
+}
@@ -0,0 +1,270 @@
+import net from "net";
+import tls from "tls";
+import { createLogger } from "./logger.js";
+
+// --- Pub/Sub Adapter ---
+//
+// The seam that lets several server instances share sessions. index.js uses
+// it for two things: a session directory (which instance owns a session or a
+// join code) and per-instance channels that carry relayed WebSocket traffic
+// to the owning instance and back.
+//
+// Every adapter exposes the same asynchronous interface:
+//
+//   publish(channel, message)   → Promise — message is any JSON value
+//   subscribe(channel, handler) → Promise — handler(message) per delivery
+//   get(key)                    → Promise<string|null>
+//   set(key, value, ttlMs?)     → Promise — with ttlMs the key lapses unless set again
+//   del(key)                    → Promise
+//   close()                     → void
+//
+// Delivery is in publish order per channel, and always asynchronous — even
+// the in-process adapter never calls a handler from inside publish().
+
+/**
+ * In-process adapter. Adapters sharing a hub see each other's messages and
+ * keys, which is how tests stand up several "instances" in one process; the
+ * default hub makes a single server behave exactly as before.
+ */
+export function createLocalPubSub(hub = createLocalHub()) {
+  return {
+    name: "local",
+    publish: async (channel, message) => {
+      const payload = JSON.stringify(message);
+      for (const handler of hub.handlers.get(channel) || []) {
+        setImmediate(() => handler(JSON.parse(payload)));
+      }
+    },
+    subscribe: async (channel, handler) => {
+      if (!hub.handlers.has(channel)) hub.handlers.set(channel, new Set());
+      hub.handlers.get(channel).add(handler);
+    },
+    get: async (key) => {
+      const entry = hub.kv.get(key);
+      if (entry?.expiresAt && entry.expiresAt <= Date.now()) hub.kv.delete(key);
+      return hub.kv.get(key)?.value ?? null;
+    },
+    set: async (key, value, ttlMs) => {
+      hub.kv.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    del: async (key) => { hub.kv.delete(key); },
+    close: () => {},
+  };
+}
+
+export function createLocalHub() {
+  return { handlers: new Map(), kv: new Map() };
+}
+
+/**
+ * Redis-protocol adapter. Speaks plain RESP over TCP — no client library —
+ * so it runs against Redis, Upstash, or any stand-in that understands GET,
+ * SET, DEL, PUBLISH and SUBSCRIBE. `rediss://` URLs connect over TLS, and a
+ * URL username is sent as an ACL user. Keys and channels are namespaced so
+ * the server can share a Redis with other apps.
+ */
+export function createRedisPubSub(url, { namespace = "pirate-radio", log = createLogger() } = {}) {
+  const key = (name) => `${namespace}:${name}`;
+  const handlers = new Map();
+
+  const commands = connectResp(url, { log });
+  const subscriber = connectResp(url, {
+    log,
+    onMessage: (channel, payload) => {
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch {
+        return log.warn("pubsub:malformed", { channel });
+      }
+      for (const handler of handlers.get(channel) || []) handler(message);
+    },
+    // A fresh subscriber connection has no subscriptions — restore them
+    onReconnect: (conn) => {
+      for (const channel of handlers.keys()) conn.command("SUBSCRIBE", channel).catch(() => {});
+    },
+  });
+
+  return {
+    name: "redis",
+    publish: (channel, message) => commands.command("PUBLISH", key(channel), JSON.stringify(message)),
+    subscribe: async (channel, handler) => {
+      const fullChannel = key(channel);
+      const isNew = !handlers.has(fullChannel);
+      if (isNew) handlers.set(fullChannel, new Set());
+      handlers.get(fullChannel).add(handler);
+      if (isNew) await subscriber.command("SUBSCRIBE", fullChannel);
+    },
+    get: (name) => commands.command("GET", key(name)),
+    set: (name, value, ttlMs) => (ttlMs
+      ? commands.command("SET", key(name), String(value), "PX", ttlMs)
+      : commands.command("SET", key(name), String(value))),
+    del: (name) => commands.command("DEL", key(name)),
+    close: () => {
+      commands.close();
+      subscriber.close();
+    },
+  };
+}
+
+/**
+ * Build the adapter selected by configuration.
+ * @param {{backend?: string, url?: string, namespace?: string, log?: Object}} options
+ */
+export function createPubSub({ backend = "local", url, namespace, log } = {}) {
+  switch (backend) {
+    case "local":
+      return createLocalPubSub();
+    case "redis":
+      if (!url) throw new Error("REDIS_URL is required for the redis pub/sub backend");
+      return createRedisPubSub(url, { namespace, log });
+    default:
+      throw new Error(`Unknown pub/sub backend: ${backend}`);
+  }
+}
+
+// --- RESP Connection ---
+
+const RECONNECT_DELAY_MS = 1_000;
+const COMMAND_TIMEOUT_MS = 5_000;
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from `buf` at `offset`.
+ * @returns {[any, number]|null} [reply, next offset], or null if incomplete
+ */
+export function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  let next = lineEnd + 2;
+
+  switch (type) {
+    case "+": return [line, next];
+    case "-": return [new Error(line), next];
+    case ":": return [Number(line), next];
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buf.length < next + length + 2) return null;
+      return [buf.toString("utf8", next, next + length), next + length + 2];
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        const parsed = parseReply(buf, next);
+        if (!parsed) return null;
+        items.push(parsed[0]);
+        next = parsed[1];
+      }
+      return [items, next];
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+/**
+ * One RESP connection with a FIFO of pending replies. Pushed pub/sub
+ * messages go to onMessage instead. Reconnects after a short delay if the
+ * server goes away; commands in flight at that moment, or issued before the
+ * new connection is up, are rejected rather than left waiting. A command
+ * with no reply within COMMAND_TIMEOUT_MS, or a reply that doesn't parse,
+ * drops the connection too — the FIFO can't be trusted after either.
+ */
+function connectResp(url, { log, onMessage = null, onReconnect = null }) {
+  const { protocol, hostname, port, username, password } = new URL(url);
+  const secure = protocol === "rediss:";
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let closed = false;
+
+  const conn = {
+    command: (...args) => new Promise((resolve, reject) => {
+      if (closed) return reject(new Error("pub/sub connection closed"));
+      if (!socket) return reject(new Error("pub/sub connection lost; reconnecting"));
+      const waiter = {
+        resolve: (reply) => { clearTimeout(waiter.timer); resolve(reply); },
+        reject: (err) => { clearTimeout(waiter.timer); reject(err); },
+        timer: setTimeout(() => {
+          log.warn("pubsub:timeout", { host: hostname, command: args[0], timeoutMs: COMMAND_TIMEOUT_MS });
+          socket?.destroy();
+        }, COMMAND_TIMEOUT_MS),
+      };
+      pending.push(waiter);
+      socket.write(encodeCommand(args));
+    }),
+    close: () => {
+      closed = true;
+      socket?.end();
+    },
+  };
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    while ((parsed = parseBuffered())) {
+      const [reply, used] = parsed;
+      buffer = buffer.subarray(used);
+      if (onMessage && Array.isArray(reply) && reply[0] === "message") {
+        onMessage(reply[1], reply[2]);
+        continue;
+      }
+      const waiter = pending.shift();
+      if (!waiter) continue;
+      if (reply instanceof Error) waiter.reject(reply);
+      else waiter.resolve(reply);
+    }
+  }
+
+  function parseBuffered() {
+    try {
+      return parseReply(buffer);
+    } catch (err) {
+      log.error("pubsub:protocol", { host: hostname, err });
+      buffer = Buffer.alloc(0);
+      socket.destroy();
+      return null;
+    }
+  }
+
+  function open(isReconnect) {
+    buffer = Buffer.alloc(0);
+    const target = { host: hostname, port: Number(port) || 6379 };
+    const current = secure ? tls.connect({ ...target, servername: hostname }) : net.createConnection(target);
+    socket = current;
+    current.on("data", onData);
+    current.on("error", (err) => log.error("pubsub:error", { host: hostname, err }));
+    current.on("close", () => {
+      if (socket === current) socket = null;
+      const failed = pending;
+      pending = [];
+      for (const waiter of failed) waiter.reject(new Error("pub/sub connection lost"));
+      if (closed) return;
+      log.warn("pubsub:reconnect", { host: hostname, delayMs: RECONNECT_DELAY_MS });
+      setTimeout(() => { if (!closed) open(true); }, RECONNECT_DELAY_MS);
+    });
+    if (password) {
+      const credentials = username
+        ? [decodeURIComponent(username), decodeURIComponent(password)]
+        : [decodeURIComponent(password)];
+      conn.command("AUTH", ...credentials).catch((err) => log.error("pubsub:auth", { err }));
+    }
+    if (isReconnect && onReconnect) onReconnect(conn);
+  }
+
+  open(false);
+  return conn;
+}
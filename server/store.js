@@ -0,0 +1,140 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import { createLogger } from "./logger.js";
+
+// --- Session Store ---
+//
+// Pluggable persistence for session state and the user registry. index.js
+// keeps working off its in-memory Maps and writes through to the store on
+// every durable mutation; the store is only read back on boot.
+//
+// Every store exposes the same synchronous interface:
+//
+//   loadSessions()              → SessionRecord[]
+//   saveSession(record)         → void
+//   deleteSession(sessionId)    → void
+//   loadUsers()                 → Array<[userId, UserRecord]>
+//   saveUser(userId, record)    → void
+//   appendStationHistory(userId, entry) → void
+//   loadStationHistory(userId)  → HistoryEntry[] (oldest first)
+//   loadPlanets()               → PlanetRecord[]
+//   savePlanet(record)          → void
+//   deletePlanet(planetId)      → void
+//
+// Station history is keyed by the station owner's userId rather than the
+// session, so it outlives the session that produced it.
+
+const MAX_STATION_HISTORY = 500;
+
+function appendCapped(list, entry) {
+  list.push(entry);
+  if (list.length > MAX_STATION_HISTORY) list.splice(0, list.length - MAX_STATION_HISTORY);
+  return list;
+}
+
+/**
+ * In-memory store. Nothing survives a restart — this is the historical
+ * behaviour and the default when no backend is configured.
+ */
+export function createMemoryStore() {
+  const sessions = new Map();
+  const users = new Map();
+  const history = new Map();
+  const planets = new Map();
+
+  return {
+    name: "memory",
+    loadSessions: () => Array.from(sessions.values()),
+    saveSession: (record) => { sessions.set(record.id, record); },
+    deleteSession: (sessionId) => { sessions.delete(sessionId); },
+    loadUsers: () => Array.from(users.entries()),
+    saveUser: (userId, record) => { users.set(userId, record); },
+    appendStationHistory: (userId, entry) => {
+      history.set(userId, appendCapped(history.get(userId) || [], entry));
+    },
+    loadStationHistory: (userId) => history.get(userId) || [],
+    loadPlanets: () => Array.from(planets.values()),
+    savePlanet: (record) => { planets.set(record.id, record); },
+    deletePlanet: (planetId) => { planets.delete(planetId); },
+  };
+}
+
+/**
+ * JSON file store. The whole state is rewritten on every change via a temp
+ * file + rename, so a crash mid-write never leaves a truncated file behind.
+ * Fine for a single instance with a handful of live stations.
+ */
+export function createFileStore(filePath, log = createLogger()) {
+  let state = { sessions: {}, users: {}, history: {}, planets: {} };
+
+  if (existsSync(filePath)) {
+    try {
+      const parsed = JSON.parse(readFileSync(filePath, "utf-8"));
+      state = {
+        sessions: parsed.sessions || {},
+        users: parsed.users || {},
+        history: parsed.history || {},
+        planets: parsed.planets || {},
+      };
+    } catch (err) {
+      log.error("store:read", { path: filePath, err, fallback: "starting empty" });
+    }
+  }
+
+  function write() {
+    mkdirSync(dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state));
+    renameSync(tmpPath, filePath);
+  }
+
+  return {
+    name: "file",
+    loadSessions: () => Object.values(state.sessions),
+    saveSession: (record) => {
+      state.sessions[record.id] = record;
+      write();
+    },
+    deleteSession: (sessionId) => {
+      if (!(sessionId in state.sessions)) return;
+      delete state.sessions[sessionId];
+      write();
+    },
+    loadUsers: () => Object.entries(state.users),
+    saveUser: (userId, record) => {
+      state.users[userId] = record;
+      write();
+    },
+    appendStationHistory: (userId, entry) => {
+      state.history[userId] = appendCapped(state.history[userId] || [], entry);
+      write();
+    },
+    loadStationHistory: (userId) => state.history[userId] || [],
+    loadPlanets: () => Object.values(state.planets),
+    savePlanet: (record) => {
+      state.planets[record.id] = record;
+      write();
+    },
+    deletePlanet: (planetId) => {
+      if (!(planetId in state.planets)) return;
+      delete state.planets[planetId];
+      write();
+    },
+  };
+}
+
+/**
+ * Build the store selected by configuration.
+ * @param {{backend?: string, path?: string, log?: ReturnType<typeof createLogger>}} options
+ */
+export function createStore({ backend = "memory", path, log } = {}) {
+  switch (backend) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      if (!path) throw new Error("STORE_PATH is required for the file store");
+      return createFileStore(path, log);
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
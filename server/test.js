@@ -1,9 +1,15 @@
-import { describe, it, before, after, beforeEach } from "node:test";
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import http from "node:http";
 import { spawn } from "node:child_process";
+import net from "node:net";
 import { once } from "node:events";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import WebSocket from "ws";
+import { createLogger, parseSampleRates } from "./logger.js";
+import { createLocalHub, createLocalPubSub, createRedisPubSub, parseReply } from "./pubsub.js";
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -64,8 +70,9 @@ async function getToken(port, spotifyUserId = "testuser1", displayName = "Test")
 /**
  * Create a session and return the response body.
  */
-async function createSession(port, token) {
+async function createSession(port, token, body) {
   const res = await request(port, "POST", "/sessions", {
+    body,
     headers: { Authorization: `Bearer ${token}` },
   });
   assert.equal(res.statusCode, 201);
@@ -79,18 +86,21 @@ async function createSession(port, token) {
 let serverProcess;
 let PORT;
 
+const ADMIN_TOKEN = "test-admin-token";
+const ADMIN_AUTH = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
 /**
- * Start the server in a child process and wait until it prints the listening
- * message so we know it is ready.  We use port 0 so the OS picks an unused
- * port, but index.js falls back to 3000 when PORT is "0", so we pick a random
- * high port ourselves.
+ * Spawn index.js on a random high port with extra env vars and wait until it
+ * prints the listening message so we know it is ready.  We can't use port 0
+ * because index.js falls back to 3000 when PORT is "0".
+ * Returns { proc, port }.
  */
-async function startServer() {
-  PORT = 10000 + Math.floor(Math.random() * 50000);
+async function spawnServer(env = {}) {
+  const port = 10000 + Math.floor(Math.random() * 50000);
 
-  serverProcess = spawn(process.execPath, ["index.js"], {
+  const proc = spawn(process.execPath, ["index.js"], {
     cwd: new URL(".", import.meta.url).pathname,
-    env: { ...process.env, PORT: String(PORT), NODE_ENV: "test" },
+    env: { ...process.env, PORT: String(port), NODE_ENV: "test", ADMIN_TOKEN, ...env },
     stdio: ["pipe", "pipe", "pipe"],
   });
 
@@ -99,7 +109,7 @@ async function startServer() {
     const timeout = setTimeout(() => reject(new Error("Server did not start in time")), 10_000);
     let output = "";
 
-    serverProcess.stdout.on("data", (chunk) => {
+    proc.stdout.on("data", (chunk) => {
       output += chunk.toString();
       if (output.includes("listening")) {
         clearTimeout(timeout);
@@ -107,15 +117,34 @@ async function startServer() {
       }
     });
 
-    serverProcess.stderr.on("data", (chunk) => {
+    proc.stderr.on("data", (chunk) => {
       output += chunk.toString();
     });
 
-    serverProcess.on("exit", (code) => {
+    proc.on("exit", (code) => {
       clearTimeout(timeout);
       reject(new Error(`Server exited early with code ${code}: ${output}`));
     });
   });
+
+  return { proc, port };
+}
+
+/**
+ * Stop a spawned server and wait for the process to exit.
+ */
+async function killServer(proc) {
+  if (proc.exitCode !== null || proc.signalCode !== null) return;
+  const exited = once(proc, "exit");
+  proc.kill("SIGTERM");
+  await exited;
+}
+
+/**
+ * Start the shared server used by most of the suite.
+ */
+async function startServer() {
+  ({ proc: serverProcess, port: PORT } = await spawnServer());
 }
 
 function stopServer() {
@@ -334,13 +363,19 @@ describe("Pirate Radio API", () => {
 
   // ----- Shared WebSocket Helpers -----
 
+  // What a current app build negotiates — pass your own protocol= to override
+  const CLIENT_HANDSHAKE =
+    "&protocol=2&capabilities=collabQueue,hotSeat,requestInbox,voiceClips,clockProbe,resume,recap,errors," +
+    "announcements,codeRotation,restartNotice,roles,djHandoff,moderation,visibility,queueEditing,fairQueue";
+
   /**
    * Connect a WebSocket and collect messages until a condition is met.
    */
-  function connectWS(port, token, sessionId) {
+  function connectWS(port, token, sessionId, query = "") {
+    const handshake = query.includes("protocol=") ? "" : CLIENT_HANDSHAKE;
     return new Promise((resolve, reject) => {
       const ws = new WebSocket(
-        `ws://127.0.0.1:${port}/?token=${token}&sessionId=${sessionId}`
+        `ws://127.0.0.1:${port}/?token=${token}&sessionId=${sessionId}${handshake}${query}`
       );
       const messages = [];
       ws.on("open", () => resolve({ ws, messages }));
@@ -851,7 +886,7 @@ describe("Pirate Radio API", () => {
       await new Promise((r) => setTimeout(r, 500));
 
       // Session should still exist (grace period is 5 minutes, we check within 1s)
-      const res = await request(PORT, "GET", "/admin/sessions");
+      const res = await request(PORT, "GET", "/admin/sessions", { headers: ADMIN_AUTH });
       const sessionList = res.body.sessions || [];
       const found = sessionList.find((s) => s.id === session.id);
       assert.ok(found, "Session should still exist during grace period");
@@ -902,4 +937,2362 @@ describe("Pirate Radio API", () => {
       }
     });
   });
+
+  // ----- Persistent Store -----
+
+  describe("Persistent Store", () => {
+    let dataDir;
+    const storeEnv = () => ({
+      STORE_BACKEND: "file",
+      STORE_PATH: join(dataDir, "state.json"),
+      JWT_SECRET: "persistence-test-secret",
+    });
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(join(tmpdir(), "pirate-radio-store-"));
+    });
+
+    afterEach(() => {
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("rehydrates sessions, queues and frequencies after a restart", async () => {
+      let server = await spawnServer(storeEnv());
+      let session;
+      let frequencyBefore;
+
+      try {
+        const token = await getToken(server.port, "persist_dj", "PersistDJ");
+        session = await createSession(server.port, token);
+        const { ws, messages } = await connectWS(server.port, token, session.id);
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+
+        ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "persist_next", name: "Next", durationMs: 60000 }, nonce: "persist-nonce" },
+        }));
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+        ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "persist_now", track: { id: "persist_now", name: "Now", durationMs: 300000 } },
+        }));
+        ws.send(JSON.stringify({
+          type: "playCommit",
+          data: { positionMs: 0, ntpTimestamp: Date.now() },
+        }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+
+        const stations = await request(server.port, "GET", "/stations", {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        frequencyBefore = stations.body.stations.find((s) => s.userId === "persist_dj").frequency;
+        ws.close();
+      } finally {
+        await killServer(server.proc);
+      }
+
+      server = await spawnServer(storeEnv());
+      try {
+        const token = await getToken(server.port, "persist_dj", "PersistDJ");
+        const res = await request(server.port, "GET", `/sessions/${session.id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.joinCode, session.joinCode);
+        assert.equal(res.body.currentTrack.id, "persist_now");
+        assert.equal(res.body.isPlaying, true);
+        assert.deepEqual(res.body.queue.map((t) => t.id), ["persist_next"]);
+
+        const stations = await request(server.port, "GET", "/stations", {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const station = stations.body.stations.find((s) => s.userId === "persist_dj");
+        assert.equal(station.frequency, frequencyBefore);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("still logs users in when the store can't be written", async () => {
+      writeFileSync(join(dataDir, "blocker"), ""); // a file where the store wants a directory
+      const server = await spawnServer({ ...storeEnv(), STORE_PATH: join(dataDir, "blocker", "state.json") });
+      try {
+        const res = await request(server.port, "POST", "/auth", { body: { spotifyUserId: "persist_failing", displayName: "Failing" } });
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.token);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("restarts the advancement timer from the stored position anchor", async () => {
+      let server = await spawnServer(storeEnv());
+      let session;
+
+      try {
+        const token = await getToken(server.port, "persist_timer_dj", "TimerDJ");
+        session = await createSession(server.port, token);
+        const { ws, messages } = await connectWS(server.port, token, session.id);
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+
+        ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "after_restart", name: "After", durationMs: 60000 }, nonce: "timer-nonce" },
+        }));
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+        ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "before_restart", track: { id: "before_restart", name: "Before", durationMs: 2500 } },
+        }));
+        ws.send(JSON.stringify({
+          type: "playCommit",
+          data: { positionMs: 0, ntpTimestamp: Date.now() },
+        }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+        ws.close();
+      } finally {
+        await killServer(server.proc);
+      }
+
+      server = await spawnServer(storeEnv());
+      try {
+        const token = await getToken(server.port, "persist_timer_dj", "TimerDJ");
+        const { ws, messages } = await connectWS(server.port, token, session.id);
+        try {
+          const advanced = await waitForMessage(
+            messages,
+            (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "after_restart",
+            4000
+          );
+          assert.equal(advanced.data.isPlaying, true);
+        } finally {
+          ws.close();
+        }
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  // ----- Collab Queue Voting -----
+
+  describe("Collab Queue Voting", () => {
+    function addTrack(ws, id, durationMs = 60000) {
+      ws.send(JSON.stringify({
+        type: "addToQueue",
+        data: { track: { id, name: id, durationMs }, nonce: `nonce-${id}` },
+      }));
+    }
+
+    it("rejects an unknown djMode", async () => {
+      const token = await getToken(PORT, "bad_mode_dj", "BadModeDJ");
+      const res = await request(PORT, "POST", "/sessions", {
+        body: { djMode: "anarchy" },
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.statusCode, 400);
+    });
+
+    it("orders the queue by votes and breaks ties by add time", async () => {
+      const djToken = await getToken(PORT, "collab_dj", "CollabDJ");
+      const session = await createSession(PORT, djToken, { djMode: "collaborative" });
+      assert.equal(session.djMode, "collaborative");
+
+      const listenerToken = await getToken(PORT, "collab_listener", "CollabListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        for (const id of ["first", "second", "third"]) {
+          addTrack(dj.ws, id);
+          await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.some((t) => t.id === id));
+        }
+
+        dj.ws.send(JSON.stringify({ type: "vote", data: { nonce: "nonce-third" } }));
+        listener.ws.send(JSON.stringify({ type: "vote", data: { nonce: "nonce-third" } }));
+        listener.ws.send(JSON.stringify({ type: "vote", data: { nonce: "nonce-second" } }));
+        // Duplicate vote is ignored
+        listener.ws.send(JSON.stringify({ type: "vote", data: { nonce: "nonce-second" } }));
+
+        const update = await waitForMessage(
+          listener.messages,
+          (m) => m.type === "queueUpdate" && m.data.queue[1]?.votes === 1
+        );
+        assert.deepEqual(update.data.queue.map((t) => t.id), ["third", "second", "first"]);
+        assert.deepEqual(update.data.queue.map((t) => t.votes), [2, 1, 0]);
+        assert.deepEqual(update.data.queue[0].voters.sort(), ["collab_dj", "collab_listener"]);
+
+        // Unvote drops "second" back into a 0-vote tie, which "first" wins by add time
+        listener.ws.send(JSON.stringify({ type: "unvote", data: { nonce: "nonce-second" } }));
+        const afterUnvote = await waitForMessage(
+          listener.messages,
+          (m) => m.type === "queueUpdate" && m.data.queue[1]?.id === "first"
+        );
+        assert.deepEqual(afterUnvote.data.queue.map((t) => t.id), ["third", "first", "second"]);
+
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        const skipped = await waitForMessage(
+          listener.messages,
+          (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "third"
+        );
+        assert.equal(skipped.data.djMode, "collaborative");
+        assert.deepEqual(skipped.data.queue.map((t) => t.id), ["first", "second"]);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("ignores votes outside Collab Queue mode", async () => {
+      const token = await getToken(PORT, "solo_vote_dj", "SoloVoteDJ");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        addTrack(ws, "solo_a");
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+
+        ws.send(JSON.stringify({ type: "vote", data: { nonce: "nonce-solo_a" } }));
+        await new Promise((r) => setTimeout(r, 300));
+        assert.equal(messages.filter((m) => m.type === "queueUpdate").length, 1);
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("lets the DJ switch modes live", async () => {
+      const token = await getToken(PORT, "mode_switch_dj", "ModeSwitchDJ");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({ type: "setDJMode", data: { djMode: "collaborative" } }));
+        const changed = await waitForMessage(messages, (m) => m.type === "djModeChanged");
+        assert.equal(changed.data.djMode, "collaborative");
+      } finally {
+        ws.close();
+      }
+    });
+  });
+
+  // ----- Hot Seat Rotation -----
+
+  describe("Hot Seat Rotation", () => {
+    it("includes the Hot Seat counters in the session snapshot", async () => {
+      const token = await getToken(PORT, "hotseat_snap_dj", "HotSeatSnap");
+      const session = await createSession(PORT, token, { djMode: "hotSeat", hotSeatSongsPerDJ: 2 });
+
+      const res = await request(PORT, "GET", `/sessions/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.body.djMode, "hotSeat");
+      assert.equal(res.body.hotSeatSongsPerDJ, 2);
+      assert.equal(res.body.hotSeatSongsRemaining, 2);
+    });
+
+    it("rejects an out-of-range hotSeatSongsPerDJ", async () => {
+      const token = await getToken(PORT, "hotseat_bad_dj", "HotSeatBad");
+      const res = await request(PORT, "POST", "/sessions", {
+        body: { djMode: "hotSeat", hotSeatSongsPerDJ: 0 },
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.statusCode, 400);
+    });
+
+    it("rotates the DJ role when the turn is used up", async () => {
+      const djToken = await getToken(PORT, "hotseat_dj", "HotSeatDJ");
+      const session = await createSession(PORT, djToken, { djMode: "hotSeat", hotSeatSongsPerDJ: 2 });
+      const listenerToken = await getToken(PORT, "hotseat_listener", "HotSeatListener");
+
+      const dj = await connectWS(PORT, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        for (const id of ["hs1", "hs2", "hs3"]) {
+          dj.ws.send(JSON.stringify({
+            type: "addToQueue",
+            data: { track: { id, name: id, durationMs: 60000 }, nonce: `nonce-${id}` },
+          }));
+          await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.some((t) => t.id === id));
+        }
+
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        const first = await waitForMessage(listener.messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "hs1");
+        assert.equal(first.data.djUserId, "hotseat_dj");
+        assert.equal(first.data.hotSeatSongsRemaining, 1);
+
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        const rotated = await waitForMessage(listener.messages, (m) => m.type === "djRotated");
+        assert.equal(rotated.data.previousDjUserId, "hotseat_dj");
+        assert.equal(rotated.data.djUserId, "hotseat_listener");
+        assert.equal(rotated.data.hotSeatSongsRemaining, 2);
+
+        const sync = await waitForMessage(listener.messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "hs2");
+        assert.equal(sync.data.djUserId, "hotseat_listener");
+        assert.ok(sync.epoch > first.epoch + 1, "rotation should bump the epoch");
+
+        // The old DJ has lost control; the new one has it
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        await new Promise((r) => setTimeout(r, 300));
+        assert.equal(listener.messages.find((m) => m.data?.currentTrack?.id === "hs3"), undefined);
+
+        listener.ws.send(JSON.stringify({ type: "skip" }));
+        await waitForMessage(dj.messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "hs3");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  // ----- Song Request Inbox -----
+
+  describe("Song Request Inbox", () => {
+    async function setup(prefix, listenerQuery = "") {
+      const djToken = await getToken(PORT, `${prefix}_dj`, "InboxDJ");
+      const session = await createSession(PORT, djToken);
+      const listenerToken = await getToken(PORT, `${prefix}_listener`, "InboxListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id, listenerQuery);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+      return { djToken, session, dj, listener };
+    }
+
+    function requestTrack(ws, id) {
+      ws.send(JSON.stringify({
+        type: "requestTrack",
+        data: { track: { id, name: id, durationMs: 60000 }, nonce: `req-${id}` },
+      }));
+    }
+
+    it("ignores listener addToQueue in Solo DJ mode", async () => {
+      const { dj, listener } = await setup("inbox_direct");
+      try {
+        listener.ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "sneaky", name: "Sneaky" }, nonce: "sneaky-nonce" },
+        }));
+        await new Promise((r) => setTimeout(r, 300));
+        assert.equal(dj.messages.find((m) => m.type === "queueUpdate"), undefined);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("files a pre-inbox listener's addToQueue as a request", async () => {
+      const { dj, listener } = await setup("inbox_legacy", "&protocol=1");
+      try {
+        listener.ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "old-build", name: "Old Build", durationMs: 60000 }, nonce: "legacy-nonce" },
+        }));
+        const inbox = await waitForMessage(dj.messages, (m) => m.type === "requestsUpdate");
+        assert.equal(inbox.data.requests[0].track.id, "old-build");
+        assert.equal(inbox.data.requests[0].requestedBy, "inbox_legacy_listener");
+
+        dj.ws.send(JSON.stringify({ type: "acceptRequest", data: { nonce: "legacy-nonce" } }));
+        const update = await waitForMessage(listener.messages, (m) => m.type === "queueUpdate");
+        assert.equal(update.data.queue[0].id, "old-build");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("queues a pre-inbox listener's addToQueue when the DJ is on an old build too", async () => {
+      const djToken = await getToken(PORT, "inbox_oldpair_dj", "OldDJ");
+      const session = await createSession(PORT, djToken);
+      const dj = await connectWS(PORT, djToken, session.id, "&protocol=1");
+      const listener = await connectWS(PORT, await getToken(PORT, "inbox_oldpair_listener", "OldListener"), session.id, "&protocol=1");
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+      try {
+        listener.ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "old-pair", name: "Old Pair", durationMs: 60000 }, nonce: "old-pair-nonce" },
+        }));
+        const update = await waitForMessage(dj.messages, (m) => m.type === "queueUpdate");
+        assert.equal(update.data.queue[0].id, "old-pair");
+        assert.equal(update.data.queue[0].addedBy, "inbox_oldpair_listener");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("delivers requests to the DJ and queues accepted ones", async () => {
+      const { djToken, session, dj, listener } = await setup("inbox_accept");
+      try {
+        requestTrack(listener.ws, "wanted");
+        const inbox = await waitForMessage(dj.messages, (m) => m.type === "requestsUpdate");
+        assert.equal(inbox.data.requests.length, 1);
+        assert.equal(inbox.data.requests[0].requestedBy, "inbox_accept_listener");
+        assert.equal(inbox.data.requests[0].track.id, "wanted");
+
+        // The DJ's snapshot carries the inbox; listeners never see it
+        const djView = await request(PORT, "GET", `/sessions/${session.id}`, {
+          headers: { Authorization: `Bearer ${djToken}` },
+        });
+        assert.equal(djView.body.pendingRequests.length, 1);
+
+        // Only the DJ may accept
+        listener.ws.send(JSON.stringify({ type: "acceptRequest", data: { nonce: "req-wanted" } }));
+        await new Promise((r) => setTimeout(r, 200));
+        assert.equal(listener.messages.find((m) => m.type === "queueUpdate"), undefined);
+
+        dj.ws.send(JSON.stringify({ type: "acceptRequest", data: { nonce: "req-wanted" } }));
+        const update = await waitForMessage(listener.messages, (m) => m.type === "queueUpdate");
+        assert.equal(update.data.queue[0].id, "wanted");
+        assert.equal(update.data.queue[0].addedBy, "inbox_accept_listener");
+
+        const accepted = await waitForMessage(listener.messages, (m) => m.type === "requestAccepted");
+        assert.equal(accepted.data.nonce, "req-wanted");
+        await waitForMessage(dj.messages, (m) => m.type === "requestsUpdate" && m.data.requests.length === 0);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("notifies the requester when the DJ declines", async () => {
+      const { dj, listener } = await setup("inbox_decline");
+      try {
+        requestTrack(listener.ws, "unwanted");
+        await waitForMessage(dj.messages, (m) => m.type === "requestsUpdate");
+
+        dj.ws.send(JSON.stringify({ type: "declineRequest", data: { nonce: "req-unwanted" } }));
+        const declined = await waitForMessage(listener.messages, (m) => m.type === "requestDeclined");
+        assert.equal(declined.data.trackId, "unwanted");
+        assert.equal(listener.messages.find((m) => m.type === "queueUpdate"), undefined);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("includes pending requests in the DJ's stateSync only", async () => {
+      const { djToken, session, dj, listener } = await setup("inbox_sync");
+      try {
+        requestTrack(listener.ws, "pending");
+        await waitForMessage(dj.messages, (m) => m.type === "requestsUpdate");
+
+        const rejoined = await connectWS(PORT, djToken, session.id);
+        const sync = await waitForMessage(rejoined.messages, (m) => m.type === "stateSync");
+        assert.equal(sync.data.pendingRequests[0].track.id, "pending");
+        rejoined.ws.close();
+
+        const listenerSync = listener.messages.find((m) => m.type === "stateSync");
+        assert.equal(listenerSync.data.pendingRequests, undefined);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  // ----- Walkie-Talkie Voice Clips -----
+
+  describe("Walkie-Talkie Voice Clips", () => {
+    function sendClip(ws, clipId, chunks, durationMs = 3000) {
+      ws.send(JSON.stringify({ type: "voiceClipStart", data: { clipId, durationMs, mimeType: "audio/aac" } }));
+      chunks.forEach((chunk, index) => {
+        ws.send(JSON.stringify({
+          type: "voiceClipChunk",
+          data: { clipId, index, data: chunk.toString("base64") },
+        }));
+      });
+      ws.send(JSON.stringify({ type: "voiceClipEnd", data: { clipId } }));
+    }
+
+    it("relays a chunked clip to the other members with metadata", async () => {
+      const djToken = await getToken(PORT, "voice_dj", "VoiceDJ");
+      const session = await createSession(PORT, djToken);
+      const listenerToken = await getToken(PORT, "voice_listener", "VoiceListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        const audio = [Buffer.from("first-half-"), Buffer.from("second-half")];
+        sendClip(dj.ws, "clip-1", audio, 4200);
+
+        const clip = await waitForMessage(listener.messages, (m) => m.type === "voiceClip");
+        assert.equal(clip.data.clipId, "clip-1");
+        assert.equal(clip.data.senderId, "voice_dj");
+        assert.equal(clip.data.senderName, "VoiceDJ");
+        assert.equal(clip.data.durationMs, 4200);
+        assert.equal(Buffer.from(clip.data.data, "base64").toString(), "first-half-second-half");
+
+        await waitForMessage(dj.messages, (m) => m.type === "voiceClipSent" && m.data.clipId === "clip-1");
+        assert.equal(dj.messages.find((m) => m.type === "voiceClip"), undefined, "sender should not get an echo");
+
+        // A member reconnecting shortly after can still fetch it
+        listener.ws.close();
+        const rejoined = await connectWS(PORT, listenerToken, session.id);
+        await waitForMessage(rejoined.messages, (m) => m.type === "stateSync");
+        rejoined.ws.send(JSON.stringify({ type: "fetchVoiceClips", data: {} }));
+        const backlog = await waitForMessage(rejoined.messages, (m) => m.type === "voiceClips");
+        assert.deepEqual(backlog.data.clips.map((c) => c.clipId), ["clip-1"]);
+        assert.equal(backlog.data.clips[0].data, undefined, "audio comes in its own voiceClip, not the listing");
+        const replayed = rejoined.messages.find((m) => m.type === "voiceClip");
+        assert.equal(Buffer.from(replayed.data.data, "base64").toString(), "first-half-second-half");
+        rejoined.ws.close();
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("keeps only the newest clips within the retention byte budget", async () => {
+      // Each clip below is 24 base64 characters; the budget holds two of them
+      const server = await spawnServer({ VOICE_CLIP_RETENTION_BYTES: "50" });
+      const djToken = await getToken(server.port, "voice_budget_dj", "BudgetDJ");
+      const listenerToken = await getToken(server.port, "voice_budget_listener", "BudgetListener");
+      const session = await createSession(server.port, djToken);
+      const dj = await connectWS(server.port, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+
+      try {
+        for (const clipId of ["budget-1", "budget-2", "budget-3"]) {
+          sendClip(dj.ws, clipId, [Buffer.from("eighteen-bytes-abc")]);
+          await waitForMessage(dj.messages, (m) => m.type === "voiceClipSent" && m.data.clipId === clipId);
+        }
+        const listener = await connectWS(server.port, listenerToken, session.id);
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        listener.ws.send(JSON.stringify({ type: "fetchVoiceClips", data: {} }));
+        const backlog = await waitForMessage(listener.messages, (m) => m.type === "voiceClips");
+        assert.deepEqual(backlog.data.clips.map((c) => c.clipId), ["budget-2", "budget-3"]);
+        listener.ws.close();
+      } finally {
+        dj.ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("drops clips over the duration or size limits", async () => {
+      const djToken = await getToken(PORT, "voice_limit_dj", "VoiceLimitDJ");
+      const session = await createSession(PORT, djToken);
+      const listenerToken = await getToken(PORT, "voice_limit_listener", "VoiceLimitListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        sendClip(dj.ws, "too-long", [Buffer.from("x")], 30_000);
+        sendClip(dj.ws, "too-big", Array.from({ length: 5 }, () => Buffer.alloc(60_000)));
+
+        await new Promise((r) => setTimeout(r, 500));
+        assert.equal(listener.messages.find((m) => m.type === "voiceClip"), undefined);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  // ----- Play History -----
+
+  describe("Play History", () => {
+    it("records every track transition and keeps station history after the session ends", async () => {
+      const token = await getToken(PORT, "history_dj", "HistoryDJ");
+      const session = await createSession(PORT, token);
+      const auth = { Authorization: `Bearer ${token}` };
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "hist_b", name: "B", durationMs: 60000 }, nonce: "hist-b" },
+        }));
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+        ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "hist_a", track: { id: "hist_a", name: "A", durationMs: 60000 } },
+        }));
+        ws.send(JSON.stringify({
+          type: "playCommit",
+          data: { positionMs: 0, ntpTimestamp: Date.now() },
+        }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+        await new Promise((r) => setTimeout(r, 300));
+
+        ws.send(JSON.stringify({ type: "skip" }));
+        await waitForMessage(messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "hist_b");
+
+        const res = await request(PORT, "GET", `/sessions/${session.id}/history`, { headers: auth });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.history.length, 1);
+        const [played] = res.body.history;
+        assert.equal(played.trackId, "hist_a");
+        assert.equal(played.addedBy, "history_dj");
+        assert.equal(played.djUserId, "history_dj");
+        assert.equal(played.skipped, true);
+        assert.ok(played.playedMs >= 250, `playedMs should reflect real play time (got ${played.playedMs})`);
+
+        // Pause so the session is destroyed as soon as the DJ leaves
+        ws.send(JSON.stringify({ type: "pause", data: {} }));
+        await waitForMessage(messages, (m) => m.type === "pause");
+      } finally {
+        ws.close();
+      }
+
+      await new Promise((r) => setTimeout(r, 300));
+      const gone = await request(PORT, "GET", `/sessions/${session.id}/history`, { headers: auth });
+      assert.equal(gone.statusCode, 404);
+
+      const station = await request(PORT, "GET", "/stations/history_dj/history", { headers: auth });
+      assert.equal(station.statusCode, 200);
+      assert.deepEqual(station.body.history.map((h) => h.trackId), ["hist_b", "hist_a"]);
+      assert.equal(station.body.history[0].skipped, false);
+      assert.equal(station.body.history[0].interrupted, true, "the session ended mid-track");
+      assert.equal(station.body.history[1].interrupted, false);
+      assert.equal(station.body.history[0].sessionId, session.id);
+    });
+
+    it("shows private station history only to its owner", async () => {
+      const token = await getToken(PORT, "hidden_dj", "HiddenDJ");
+      const otherToken = await getToken(PORT, "hidden_snoop", "Snoop");
+      const session = await createSession(PORT, token, { visibility: "private" });
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "hidden_b", name: "B", durationMs: 60000 }, nonce: "hidden-b" },
+        }));
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+        ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "hidden_a", track: { id: "hidden_a", name: "A", durationMs: 60000 } },
+        }));
+        ws.send(JSON.stringify({
+          type: "playCommit",
+          data: { positionMs: 0, ntpTimestamp: Date.now() },
+        }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+        ws.send(JSON.stringify({ type: "skip" }));
+        await waitForMessage(messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "hidden_b");
+      } finally {
+        ws.close();
+      }
+
+      const owner = await request(PORT, "GET", "/stations/hidden_dj/history", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.deepEqual(owner.body.history.map((h) => h.trackId), ["hidden_a"]);
+      assert.equal(owner.body.history[0].visibility, "private");
+
+      const other = await request(PORT, "GET", "/stations/hidden_dj/history", {
+        headers: { Authorization: `Bearer ${otherToken}` },
+      });
+      assert.equal(other.statusCode, 200);
+      assert.deepEqual(other.body.history, []);
+    });
+
+    it("returns 401 without a token", async () => {
+      const res = await request(PORT, "GET", "/stations/anyone/history");
+      assert.equal(res.statusCode, 401);
+    });
+  });
+
+  // ----- Session Recap -----
+
+  describe("Session Recap", () => {
+    it("aggregates listening time, tracks, skips, listeners and per-member stats", async () => {
+      const djToken = await getToken(PORT, "recap_dj", "RecapDJ");
+      const session = await createSession(PORT, djToken, { djMode: "collaborative" });
+      const listenerToken = await getToken(PORT, "recap_listener", "RecapListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        listener.ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { id: "recap_b", name: "B", durationMs: 60000 }, nonce: "recap-b" },
+        }));
+        await waitForMessage(dj.messages, (m) => m.type === "queueUpdate");
+        dj.ws.send(JSON.stringify({ type: "vote", data: { nonce: "recap-b" } }));
+        await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue[0].votes === 1);
+
+        dj.ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "recap_a", track: { id: "recap_a", name: "A", durationMs: 60000 } },
+        }));
+        dj.ws.send(JSON.stringify({
+          type: "playCommit",
+          data: { positionMs: 0, ntpTimestamp: Date.now() },
+        }));
+        await waitForMessage(dj.messages, (m) => m.type === "playCommit");
+        await new Promise((r) => setTimeout(r, 200));
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        await waitForMessage(dj.messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "recap_b");
+
+        const res = await request(PORT, "GET", `/sessions/${session.id}/recap`, {
+          headers: { Authorization: `Bearer ${listenerToken}` },
+        });
+        assert.equal(res.statusCode, 200);
+        const recap = res.body;
+        assert.equal(recap.tracksPlayed, 2);
+        assert.equal(recap.skips, 1);
+        assert.equal(recap.peakListeners, 2);
+        assert.ok(recap.listeningMs >= 150);
+        assert.equal(recap.topTrack.id, "recap_a");
+        assert.equal(recap.highlights.mostRequests.userId, "recap_listener");
+        assert.equal(recap.highlights.voteMachine.displayName, "RecapDJ");
+        assert.equal(recap.highlights.topDJ.userId, "recap_dj");
+
+        const listenerRow = recap.leaderboard.find((m) => m.userId === "recap_listener");
+        assert.equal(listenerRow.tracksAdded, 1);
+        assert.equal(listenerRow.djMs, 0);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("returns 404 for a non-existent session", async () => {
+      const token = await getToken(PORT, "recap_404", "Recap404");
+      const res = await request(PORT, "GET", "/sessions/nonexistent-id/recap", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  // ----- Planets -----
+
+  describe("Planets", () => {
+    const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+    async function startStation(token, body) {
+      const session = await createSession(PORT, token, body);
+      const conn = await connectWS(PORT, token, session.id);
+      await waitForMessage(conn.messages, (m) => m.type === "stateSync");
+      conn.ws.send(JSON.stringify({
+        type: "playPrepare",
+        data: { trackId: "planet_track", track: { id: "planet_track", name: "P", durationMs: 60000 } },
+      }));
+      conn.ws.send(JSON.stringify({
+        type: "playCommit",
+        data: { positionMs: 0, ntpTimestamp: Date.now() },
+      }));
+      await waitForMessage(conn.messages, (m) => m.type === "playCommit");
+      return { session, ws: conn.ws };
+    }
+
+    it("creates a planet, invites a friend and assigns planet-scoped frequencies", async () => {
+      const ownerToken = await getToken(PORT, "planet_owner", "PlanetOwner");
+      const friendToken = await getToken(PORT, "planet_friend", "PlanetFriend");
+
+      const created = await request(PORT, "POST", "/planets", {
+        body: { name: "Shred Crew", frequency: 98.7 },
+        headers: auth(ownerToken),
+      });
+      assert.equal(created.statusCode, 201);
+      assert.equal(created.body.myFrequency, 98.7);
+      const planetId = created.body.id;
+
+      const invite = await request(PORT, "POST", `/planets/${planetId}/invite`, { headers: auth(ownerToken) });
+      assert.equal(invite.statusCode, 200);
+      assert.ok(invite.body.inviteUrl.includes(invite.body.token));
+
+      // Picking a taken frequency is rejected; omitting it auto-assigns a free one
+      const clash = await request(PORT, "POST", "/planets/join", {
+        body: { token: invite.body.token, frequency: 98.7 },
+        headers: auth(friendToken),
+      });
+      assert.equal(clash.statusCode, 409);
+      const joined = await request(PORT, "POST", "/planets/join", {
+        body: { token: invite.body.token },
+        headers: auth(friendToken),
+      });
+      assert.equal(joined.statusCode, 200);
+      assert.equal(joined.body.myFrequency, 88.1);
+
+      const members = await request(PORT, "GET", `/planets/${planetId}/members`, { headers: auth(friendToken) });
+      assert.deepEqual(
+        members.body.members.map((m) => [m.userId, m.frequency]).sort(),
+        [["planet_friend", 88.1], ["planet_owner", 98.7]]
+      );
+
+      const mine = await request(PORT, "GET", "/planets", { headers: auth(friendToken) });
+      assert.ok(mine.body.planets.some((p) => p.id === planetId));
+    });
+
+    it("scopes /stations to the planet and keeps planet stations off Discover", async () => {
+      const ownerToken = await getToken(PORT, "orbit_owner", "OrbitOwner");
+      const outsiderToken = await getToken(PORT, "orbit_outsider", "Outsider");
+      const created = await request(PORT, "POST", "/planets", {
+        body: { name: "Orbit", frequency: 101.1 },
+        headers: auth(ownerToken),
+      });
+      const planetId = created.body.id;
+
+      const { session, ws } = await startStation(ownerToken, { planetId });
+      const publicStation = await startStation(outsiderToken);
+      try {
+        const planetDial = await request(PORT, "GET", `/stations?planet=${planetId}`, { headers: auth(ownerToken) });
+        assert.equal(planetDial.statusCode, 200);
+        assert.deepEqual(planetDial.body.stations.map((s) => s.sessionId), [session.id]);
+        assert.equal(planetDial.body.stations[0].frequency, 101.1);
+
+        const discover = await request(PORT, "GET", "/stations", { headers: auth(outsiderToken) });
+        assert.equal(discover.body.stations.find((s) => s.sessionId === session.id), undefined);
+        assert.ok(discover.body.stations.find((s) => s.sessionId === publicStation.session.id));
+
+        const forbidden = await request(PORT, "GET", `/stations?planet=${planetId}`, { headers: auth(outsiderToken) });
+        assert.equal(forbidden.statusCode, 403);
+
+        const notMember = await request(PORT, "POST", "/sessions", {
+          body: { planetId },
+          headers: auth(outsiderToken),
+        });
+        assert.equal(notMember.statusCode, 403);
+      } finally {
+        ws.close();
+        publicStation.ws.close();
+      }
+    });
+
+    it("hands ownership on when the owner leaves and removes empty planets", async () => {
+      const ownerToken = await getToken(PORT, "leave_owner", "LeaveOwner");
+      const friendToken = await getToken(PORT, "leave_friend", "LeaveFriend");
+      const created = await request(PORT, "POST", "/planets", { body: { name: "Temp" }, headers: auth(ownerToken) });
+      const planetId = created.body.id;
+      const invite = await request(PORT, "POST", `/planets/${planetId}/invite`, { headers: auth(ownerToken) });
+      await request(PORT, "POST", "/planets/join", { body: { token: invite.body.token }, headers: auth(friendToken) });
+
+      const left = await request(PORT, "POST", `/planets/${planetId}/leave`, { headers: auth(ownerToken) });
+      assert.equal(left.body.destroyed, false);
+      const planetsAfter = await request(PORT, "GET", "/planets", { headers: auth(friendToken) });
+      assert.equal(planetsAfter.body.planets.find((p) => p.id === planetId).ownerId, "leave_friend");
+
+      const last = await request(PORT, "POST", `/planets/${planetId}/leave`, { headers: auth(friendToken) });
+      assert.equal(last.body.destroyed, true);
+      const gone = await request(PORT, "GET", `/planets/${planetId}/members`, { headers: auth(friendToken) });
+      assert.equal(gone.statusCode, 404);
+    });
+  });
+
+  // ----- Resumable Reconnects -----
+
+  describe("Resumable Reconnects", () => {
+    /** Last epoch/seq a client has seen, the way the app tracks it */
+    function lastSeen(messages) {
+      const sequenced = messages.filter((m) => Number.isInteger(m.epoch) && Number.isInteger(m.seq));
+      const last = sequenced[sequenced.length - 1];
+      return `&lastEpoch=${last.epoch}&lastSeq=${last.seq}`;
+    }
+
+    function addTrack(ws, id) {
+      ws.send(JSON.stringify({
+        type: "addToQueue",
+        data: { track: { id, name: id, durationMs: 60000 }, nonce: `nonce-${id}` },
+      }));
+    }
+
+    it("replays only the missed broadcasts when the gap is in the same epoch", async () => {
+      const djToken = await getToken(PORT, "resume_dj", "ResumeDJ");
+      const session = await createSession(PORT, djToken);
+      const listenerToken = await getToken(PORT, "resume_listener", "ResumeListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        addTrack(dj.ws, "resume_a");
+        await waitForMessage(listener.messages, (m) => m.type === "queueUpdate");
+        const resumeQuery = lastSeen(listener.messages);
+
+        listener.ws.close();
+        await waitForMessage(dj.messages, (m) => m.type === "memberLeft");
+        addTrack(dj.ws, "resume_b");
+        addTrack(dj.ws, "resume_c");
+        await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === 3);
+
+        const rejoined = await connectWS(PORT, listenerToken, session.id, resumeQuery);
+        try {
+          const resumed = await waitForMessage(rejoined.messages, (m) => m.type === "resumed");
+          assert.equal(resumed.data.replayed, 2);
+          await waitForMessage(rejoined.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === 3);
+          const replayed = rejoined.messages.filter((m) => !["welcome", "clockProbe"].includes(m.type));
+          assert.deepEqual(replayed.map((m) => m.type), ["resumed", "queueUpdate", "queueUpdate"]);
+          // Each replayed update is the queue as it was at that seq, not as it is now
+          assert.deepEqual(replayed.slice(1).map((m) => m.data.queue.length), [2, 3]);
+        } finally {
+          rejoined.ws.close();
+        }
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("falls back to a full stateSync when the epoch changed", async () => {
+      const djToken = await getToken(PORT, "resume_epoch_dj", "ResumeEpochDJ");
+      const session = await createSession(PORT, djToken);
+      const listenerToken = await getToken(PORT, "resume_epoch_listener", "ResumeEpochListener");
+      const dj = await connectWS(PORT, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        addTrack(dj.ws, "epoch_a");
+        await waitForMessage(listener.messages, (m) => m.type === "queueUpdate");
+        const resumeQuery = lastSeen(listener.messages);
+        listener.ws.close();
+
+        dj.ws.send(JSON.stringify({ type: "skip" }));
+        await waitForMessage(dj.messages, (m) => m.type === "stateSync" && m.data?.currentTrack?.id === "epoch_a");
+
+        const rejoined = await connectWS(PORT, listenerToken, session.id, resumeQuery);
+        try {
+          const sync = await waitForMessage(rejoined.messages, (m) => m.type === "stateSync");
+          assert.equal(sync.data.currentTrack.id, "epoch_a");
+          assert.equal(rejoined.messages.find((m) => m.type === "resumed"), undefined);
+        } finally {
+          rejoined.ws.close();
+        }
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  // ----- Clock Sync Measurement -----
+
+  describe("Clock Sync Measurement", () => {
+    it("estimates each member's RTT and clock offset from probe replies", async () => {
+      const token = await getToken(PORT, "clock_dj", "ClockDJ");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      // Simulate a phone whose clock runs 500ms ahead of the server
+      const clockSkewMs = 500;
+      ws.on("message", (raw) => {
+        const msg = JSON.parse(raw.toString());
+        if (msg.type !== "clockProbe") return;
+        const clientReceiveTime = Date.now() + clockSkewMs;
+        ws.send(JSON.stringify({
+          type: "clockProbeReply",
+          data: { probeId: msg.data.probeId, clientReceiveTime, clientSendTime: clientReceiveTime },
+        }));
+      });
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "clockProbe");
+
+        let member;
+        for (let i = 0; i < 40 && !(member?.clock?.samples >= 3); i++) {
+          await new Promise((r) => setTimeout(r, 100));
+          const res = await request(PORT, "GET", "/admin/sessions", { headers: ADMIN_AUTH });
+          member = res.body.sessions.find((s) => s.id === session.id)?.members[0];
+        }
+
+        assert.ok(member.clock, "admin view should carry a clock estimate");
+        assert.ok(member.clock.samples >= 3);
+        assert.ok(Math.abs(member.clock.offsetMs - clockSkewMs) < 50, `offset ${member.clock.offsetMs}`);
+        assert.ok(member.clock.rttMs >= 0 && member.clock.rttMs < 200, `rtt ${member.clock.rttMs}`);
+      } finally {
+        ws.close();
+      }
+    });
+  });
+
+  // ----- Drift Telemetry -----
+
+  describe("Drift Telemetry", () => {
+    it("aggregates drift reports into per-session sync quality", async () => {
+      const token = await getToken(PORT, "drift_dj", "DriftDJ");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+      const anchor = Date.now();
+      const report = (trackId, positionMs, offsetMs) => ws.send(JSON.stringify({
+        type: "driftReport",
+        data: { trackId, positionMs, ntpTimestamp: anchor + offsetMs },
+      }));
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({
+          type: "playPrepare",
+          data: { trackId: "drift_a", track: { id: "drift_a", name: "A", durationMs: 60000 } },
+        }));
+        ws.send(JSON.stringify({ type: "playCommit", data: { positionMs: 0, ntpTimestamp: anchor } }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+
+        report("drift_a", 990, 1000); // 10ms behind — within tolerance
+        report("drift_a", 2120, 2000); // 120ms ahead — rate adjust
+        report("drift_a", 4000, 3000); // 1s ahead — hard seek
+        report("old_track", 0, 3000); // stale, ignored
+        await waitForMessage(messages, (m) => m.type === "driftReport" && m.data.trackId === "old_track");
+
+        const res = await request(PORT, "GET", `/admin/sessions/${session.id}/sync`, { headers: ADMIN_AUTH });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.trackId, "drift_a");
+        assert.equal(res.body.reports, 3);
+        assert.equal(res.body.p50DriftMs, 120);
+        assert.equal(res.body.p95DriftMs, 1000);
+        assert.equal(res.body.rateAdjustments, 1);
+        assert.equal(res.body.hardSeeks, 1);
+
+        const [member] = res.body.members;
+        assert.equal(member.userId, "drift_dj");
+        assert.equal(member.connected, true);
+        assert.equal(member.lastDriftMs, 1000);
+        assert.deepEqual(member.series.map((d) => d.driftMs), [-10, 120, 1000]);
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("returns 404 for an unknown session", async () => {
+      const res = await request(PORT, "GET", "/admin/sessions/nope/sync", { headers: ADMIN_AUTH });
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  // ----- Message Validation -----
+
+  describe("Message Validation", () => {
+    it("replies with NOT_ALLOWED when a listener sends a DJ-only command", async () => {
+      const djToken = await getToken(PORT, "valid_dj", "ValidDJ");
+      const listenerToken = await getToken(PORT, "valid_listener", "ValidListener");
+      const session = await createSession(PORT, djToken);
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      try {
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        listener.ws.send(JSON.stringify({ type: "pause", data: {} }));
+
+        const error = await waitForMessage(listener.messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "NOT_ALLOWED");
+        assert.equal(error.data.messageType, "pause");
+        assert.ok(!dj.messages.some((m) => m.type === "pause"), "pause should not be broadcast");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("rejects malformed JSON, unknown types and bad payloads with reason codes", async () => {
+      const token = await getToken(PORT, "valid_shape", "ValidShape");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+      const nextError = async (send) => {
+        const seen = messages.filter((m) => m.type === "error").length;
+        send();
+        await waitForMessage(messages, () => messages.filter((m) => m.type === "error").length > seen);
+        return messages.filter((m) => m.type === "error").pop().data;
+      };
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+
+        const malformed = await nextError(() => ws.send("{not json"));
+        assert.equal(malformed.code, "MALFORMED_JSON");
+        assert.equal(malformed.messageType, null);
+
+        const unknown = await nextError(() => ws.send(JSON.stringify({ type: "teleport" })));
+        assert.equal(unknown.code, "UNKNOWN_TYPE");
+        assert.equal(unknown.messageType, "teleport");
+
+        const noTrack = await nextError(() => ws.send(JSON.stringify({ type: "playPrepare", data: {} })));
+        assert.equal(noTrack.code, "INVALID_PAYLOAD");
+        assert.match(noTrack.message, /data\.trackId/);
+
+        const badTrack = await nextError(() => ws.send(JSON.stringify({
+          type: "addToQueue",
+          data: { track: { name: "No id" }, nonce: "valid-1" },
+        })));
+        assert.equal(badTrack.code, "INVALID_PAYLOAD");
+        assert.equal(badTrack.nonce, "valid-1");
+        assert.match(badTrack.message, /data\.track\.id/);
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("reports state conflicts such as a duplicate nonce", async () => {
+      const token = await getToken(PORT, "valid_dupe", "ValidDupe");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+      const add = JSON.stringify({
+        type: "addToQueue",
+        data: { track: { id: "dupe_a", name: "A", durationMs: 60000 }, nonce: "dupe-1" },
+      });
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(add);
+        await waitForMessage(messages, (m) => m.type === "queueUpdate");
+        ws.send(add);
+
+        const error = await waitForMessage(messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "DUPLICATE_NONCE");
+        assert.equal(error.data.messageType, "addToQueue");
+        assert.equal(error.data.nonce, "dupe-1");
+
+        ws.send(JSON.stringify({ type: "skip" })); // the only track is queued, skip consumes it
+        ws.send(JSON.stringify({ type: "skip" }));
+        const empty = await waitForMessage(messages, (m) => m.type === "error" && m.data.code === "QUEUE_EMPTY");
+        assert.equal(empty.data.messageType, "skip");
+      } finally {
+        ws.close();
+      }
+    });
+  });
+
+  // ----- Protocol Negotiation -----
+
+  describe("Protocol Negotiation", () => {
+    it("welcomes handshaking clients with the server version and negotiated capabilities", async () => {
+      const token = await getToken(PORT, "proto_new", "ProtoNew");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id, "&protocol=2&capabilities=errors,teleport");
+
+      try {
+        const welcome = await waitForMessage(messages, (m) => m.type === "welcome");
+        assert.equal(welcome.data.protocolVersion, 2);
+        assert.deepEqual(welcome.data.capabilities, ["errors"]);
+        assert.ok(welcome.data.serverCapabilities.includes("voiceClips"));
+        assert.equal(messages.indexOf(welcome), 0, "welcome comes before stateSync");
+
+        // requestInbox wasn't negotiated, so its messages are refused
+        ws.send(JSON.stringify({
+          type: "requestTrack",
+          data: { track: { id: "proto_a" }, nonce: "proto-1" },
+        }));
+        const error = await waitForMessage(messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "NOT_NEGOTIATED");
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("keeps pre-handshake builds on the original protocol", async () => {
+      const token = await getToken(PORT, "proto_legacy", "ProtoLegacy");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id, "&protocol=1");
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({ type: "pause", data: {} }));
+        await waitForMessage(messages, (m) => m.type === "pause");
+        await new Promise((r) => setTimeout(r, 400)); // let the clock probe burst go by
+
+        const types = new Set(messages.map((m) => m.type));
+        assert.ok(!types.has("welcome"));
+        assert.ok(!types.has("clockProbe"), "legacy builds never see capability-gated messages");
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("closes clients below the minimum protocol version with 4010", async () => {
+      const server = await spawnServer({ MIN_PROTOCOL_VERSION: "2" });
+      try {
+        const health = await request(server.port, "GET", "/health");
+        assert.equal(health.body.minProtocolVersion, 2);
+
+        const token = await getToken(server.port, "proto_old", "ProtoOld");
+        const session = await createSession(server.port, token);
+        const { ws } = await connectWS(server.port, token, session.id, "&protocol=1");
+        const code = await new Promise((resolve) => ws.on("close", resolve));
+        assert.equal(code, 4010);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  // ----- Admin API -----
+
+  describe("Admin API", () => {
+    const admin = (method, path, body) => request(PORT, method, path, { body, headers: ADMIN_AUTH });
+
+    it("rejects requests without the admin token, including user JWTs", async () => {
+      const userToken = await getToken(PORT, "admin_nobody", "Nobody");
+
+      const none = await request(PORT, "GET", "/admin/sessions");
+      assert.equal(none.statusCode, 401);
+      const user = await request(PORT, "GET", "/admin/sessions", { headers: { Authorization: `Bearer ${userToken}` } });
+      assert.equal(user.statusCode, 401);
+      const destroy = await request(PORT, "POST", "/admin/sessions/anything/destroy");
+      assert.equal(destroy.statusCode, 401);
+    });
+
+    it("is disabled when no admin token is configured", async () => {
+      const server = await spawnServer({ ADMIN_TOKEN: "" });
+      try {
+        const res = await request(server.port, "GET", "/admin/sessions", { headers: ADMIN_AUTH });
+        assert.equal(res.statusCode, 503);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("pauses a station and pushes announcements to its members", async () => {
+      const token = await getToken(PORT, "admin_dj", "AdminDJ");
+      const session = await createSession(PORT, token);
+      const { ws, messages } = await connectWS(PORT, token, session.id);
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({ type: "playPrepare", data: { trackId: "admin_a", track: { id: "admin_a" } } }));
+        ws.send(JSON.stringify({ type: "playCommit", data: { positionMs: 0, ntpTimestamp: Date.now() } }));
+        await waitForMessage(messages, (m) => m.type === "playCommit");
+
+        const paused = await admin("POST", `/admin/sessions/${session.id}/pause`);
+        assert.equal(paused.statusCode, 200);
+        await waitForMessage(messages, (m) => m.type === "pause");
+        const again = await admin("POST", `/admin/sessions/${session.id}/pause`);
+        assert.equal(again.statusCode, 409);
+
+        const empty = await admin("POST", `/admin/sessions/${session.id}/announce`, { message: "  " });
+        assert.equal(empty.statusCode, 400);
+        const announced = await admin("POST", `/admin/sessions/${session.id}/announce`, { message: "Server restarts at midnight" });
+        assert.equal(announced.statusCode, 200);
+        const announcement = await waitForMessage(messages, (m) => m.type === "announcement");
+        assert.equal(announcement.data.message, "Server restarts at midnight");
+        assert.equal(announcement.data.from, "server");
+      } finally {
+        ws.close();
+      }
+    });
+
+    it("regenerates the join code so the old one stops working", async () => {
+      // Own server — the shared one has spent its per-IP join attempts in the rate limit tests
+      const server = await spawnServer();
+      const token = await getToken(server.port, "admin_code", "AdminCode");
+      const session = await createSession(server.port, token);
+      const { ws, messages } = await connectWS(server.port, token, session.id);
+      const auth = { Authorization: `Bearer ${token}` };
+
+      try {
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        const res = await request(server.port, "POST", `/admin/sessions/${session.id}/regenerate-code`, { headers: ADMIN_AUTH });
+        assert.equal(res.statusCode, 200);
+        assert.notEqual(res.body.joinCode, session.joinCode);
+
+        const changed = await waitForMessage(messages, (m) => m.type === "joinCodeChanged");
+        assert.equal(changed.data.joinCode, res.body.joinCode);
+
+        const oldJoin = await request(server.port, "POST", "/sessions/join", { body: { code: session.joinCode }, headers: auth });
+        assert.equal(oldJoin.statusCode, 404);
+        const newJoin = await request(server.port, "POST", "/sessions/join", { body: { code: res.body.joinCode }, headers: auth });
+        assert.equal(newJoin.statusCode, 200);
+        assert.equal(newJoin.body.id, session.id);
+      } finally {
+        ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("kicks a member and force-destroys a session", async () => {
+      const djToken = await getToken(PORT, "admin_host", "AdminHost");
+      const listenerToken = await getToken(PORT, "admin_rowdy", "Rowdy");
+      const session = await createSession(PORT, djToken);
+      const dj = await connectWS(PORT, djToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+
+      await waitForMessage(dj.messages, (m) => m.type === "memberJoined");
+      const missing = await admin("POST", `/admin/sessions/${session.id}/kick`, { userId: "nobody" });
+      assert.equal(missing.statusCode, 404);
+
+      const listenerClosed = new Promise((resolve) => listener.ws.on("close", resolve));
+      const kicked = await admin("POST", `/admin/sessions/${session.id}/kick`, { userId: "admin_rowdy" });
+      assert.equal(kicked.statusCode, 200);
+      assert.equal(await listenerClosed, 4011);
+      await waitForMessage(dj.messages, (m) => m.type === "memberLeft" && m.data.userId === "admin_rowdy");
+
+      const djClosed = new Promise((resolve) => dj.ws.on("close", resolve));
+      const destroyed = await admin("POST", `/admin/sessions/${session.id}/destroy`);
+      assert.equal(destroyed.statusCode, 200);
+      assert.equal(await djClosed, 4012);
+      assert.ok(dj.messages.some((m) => m.type === "sessionRecap"));
+
+      const gone = await request(PORT, "GET", `/sessions/${session.id}`, { headers: { Authorization: `Bearer ${djToken}` } });
+      assert.equal(gone.statusCode, 404);
+    });
+  });
+
+  // ----- Metrics -----
+
+  describe("Metrics", () => {
+    /** Parse Prometheus text into { "name{labels}": value } */
+    async function scrape(port) {
+      const res = await request(port, "GET", "/metrics");
+      assert.equal(res.statusCode, 200);
+      assert.match(res.headers["content-type"], /^text\/plain/);
+      const samples = {};
+      for (const line of res.body.split("\n")) {
+        if (!line || line.startsWith("#")) continue;
+        const i = line.lastIndexOf(" ");
+        samples[line.slice(0, i)] = Number(line.slice(i + 1));
+      }
+      return samples;
+    }
+
+    it("exposes gauges and per-type message counters", async () => {
+      const server = await spawnServer();
+      try {
+        const token = await getToken(server.port, "metrics_dj", "MetricsDJ");
+        const session = await createSession(server.port, token);
+        const { ws, messages } = await connectWS(server.port, token, session.id);
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+
+        ws.send(JSON.stringify({ type: "ping", data: { clientSendTime: Date.now() } }));
+        await waitForMessage(messages, (m) => m.type === "pong");
+        ws.send(JSON.stringify({ type: "teleport" }));
+        await waitForMessage(messages, (m) => m.type === "error");
+
+        const live = await scrape(server.port);
+        assert.equal(live["pirate_radio_sessions_active"], 1);
+        assert.equal(live["pirate_radio_members_connected"], 1);
+        assert.equal(live['pirate_radio_ws_messages_received_total{type="ping"}'], 1);
+        assert.equal(live['pirate_radio_ws_messages_received_total{type="unknown"}'], 1);
+        assert.ok(live['pirate_radio_broadcast_fanout_bucket{le="+Inf"}'] >= 0);
+
+        const closed = new Promise((resolve) => ws.on("close", resolve));
+        ws.close(1000);
+        await closed;
+        await new Promise((r) => setTimeout(r, 100));
+
+        const after = await scrape(server.port);
+        assert.equal(after["pirate_radio_sessions_active"], 0);
+        assert.equal(after['pirate_radio_ws_closes_total{code="1000"}'], 1);
+        assert.equal(after['pirate_radio_session_destroys_total{reason="empty"}'], 1);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("counts rate-limit rejections per route", async () => {
+      const server = await spawnServer();
+      try {
+        const token = await getToken(server.port, "metrics_spam", "Spam");
+        const auth = { Authorization: `Bearer ${token}` };
+        for (let i = 0; i < 11; i++) {
+          await request(server.port, "POST", "/sessions/join", { body: { code: "0000" }, headers: auth });
+        }
+
+        const samples = await scrape(server.port);
+        assert.equal(samples['pirate_radio_rate_limit_rejections_total{route="/sessions/join"}'], 1);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  // ----- Logging -----
+
+  describe("Logging", () => {
+    function captureLogger(options) {
+      const lines = [];
+      const sink = { log: (line) => lines.push(line), error: (line) => lines.push(line) };
+      return { log: createLogger({ ...options, sink }), lines };
+    }
+
+    it("writes leveled JSON lines with child context and redacted names", () => {
+      const { log, lines } = captureLogger({ level: "info", format: "json" });
+      const connLog = log.child({ sessionId: "s1", connId: "c1" });
+
+      connLog.debug("ws:msg", { type: "ping" }); // below threshold
+      connLog.info("ws:connect", { displayName: "Aaron", token: "secret", joinCode: "4821", members: 2 });
+
+      assert.equal(lines.length, 1);
+      const line = JSON.parse(lines[0]);
+      assert.equal(line.level, "info");
+      assert.equal(line.event, "ws:connect");
+      assert.equal(line.sessionId, "s1");
+      assert.equal(line.connId, "c1");
+      assert.equal(line.displayName, "[redacted]");
+      assert.equal(line.token, "[redacted]");
+      assert.equal(line.joinCode, "[redacted]");
+      assert.equal(line.members, 2);
+    });
+
+    it("samples high-frequency events by key", () => {
+      const { log, lines } = captureLogger({ level: "debug", sampleRates: parseSampleRates("ping=0,driftReport=1,bogus=7") });
+      for (let i = 0; i < 20; i++) log.sampled("ping").debug("ws:msg", { type: "ping" });
+      log.sampled("driftReport").debug("ws:msg", { type: "driftReport" });
+      log.sampled("skip").debug("ws:msg", { type: "skip" });
+
+      assert.equal(lines.length, 2);
+      assert.match(lines[0], /^DEBUG \[ws:msg\] type=driftReport$/);
+    });
+
+    it("tags server connection logs with session and connection ids", async () => {
+      const server = await spawnServer({ LOG_FORMAT: "json", LOG_LEVEL: "debug", LOG_SAMPLE: "" });
+      const lines = [];
+      server.proc.stdout.on("data", (chunk) => lines.push(...chunk.toString().split("\n").filter(Boolean)));
+
+      try {
+        const token = await getToken(server.port, "log_dj", "Secret Name");
+        const session = await createSession(server.port, token);
+        const { ws, messages } = await connectWS(server.port, token, session.id);
+        await waitForMessage(messages, (m) => m.type === "stateSync");
+        ws.send(JSON.stringify({ type: "ping", data: { clientSendTime: Date.now() } }));
+        await waitForMessage(messages, (m) => m.type === "pong");
+        ws.close();
+
+        const events = lines.map((l) => JSON.parse(l));
+        const connect = events.find((e) => e.event === "ws:connect");
+        const ping = events.find((e) => e.event === "ws:msg" && e.type === "ping");
+        assert.equal(connect.sessionId, session.id);
+        assert.match(connect.connId, /^[0-9a-f]{8}$/);
+        assert.equal(ping.connId, connect.connId);
+        assert.ok(!lines.some((l) => l.includes("Secret Name")), "display names must not reach the logs");
+        assert.ok(!lines.some((l) => l.includes(token)), "tokens must not reach the logs");
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  describe("Multi-Instance", () => {
+    /**
+     * Just enough of a Redis server for the redis pub/sub backend: GET, SET,
+     * DEL, PUBLISH, SUBSCRIBE and PING over RESP.
+     */
+    async function startRespStandIn() {
+      const kv = new Map();
+      const ttls = new Map(); // key → PX given with its last SET
+      const subscribers = new Map(); // channel → Set<socket>
+      const bulk = (v) => (v === null ? "$-1\r\n" : `$${Buffer.byteLength(v)}\r\n${v}\r\n`);
+
+      const server = net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        socket.on("error", () => {});
+        socket.on("close", () => {
+          for (const set of subscribers.values()) set.delete(socket);
+        });
+        socket.on("data", (chunk) => {
+          buffer = Buffer.concat([buffer, chunk]);
+          let parsed;
+          while ((parsed = parseReply(buffer))) {
+            const [[command, ...args], used] = parsed;
+            buffer = buffer.subarray(used);
+            switch (command.toUpperCase()) {
+              case "PING": socket.write("+PONG\r\n"); break;
+              case "GET": socket.write(bulk(kv.get(args[0]) ?? null)); break;
+              case "SET":
+                kv.set(args[0], args[1]);
+                if (args[2]?.toUpperCase() === "PX") ttls.set(args[0], Number(args[3]));
+                socket.write("+OK\r\n");
+                break;
+              case "DEL": socket.write(`:${kv.delete(args[0]) ? 1 : 0}\r\n`); break;
+              case "SUBSCRIBE":
+                if (!subscribers.has(args[0])) subscribers.set(args[0], new Set());
+                subscribers.get(args[0]).add(socket);
+                socket.write(`*3\r\n${bulk("subscribe")}${bulk(args[0])}:1\r\n`);
+                break;
+              case "PUBLISH": {
+                const targets = subscribers.get(args[0]) || new Set();
+                for (const target of targets) target.write(`*3\r\n${bulk("message")}${bulk(args[0])}${bulk(args[1])}`);
+                socket.write(`:${targets.size}\r\n`);
+                break;
+              }
+              default: socket.write(`-ERR unknown command '${command}'\r\n`);
+            }
+          }
+        });
+      });
+      server.listen(0, "127.0.0.1");
+      await once(server, "listening");
+      return { server, kv, ttls, url: `redis://127.0.0.1:${server.address().port}` };
+    }
+
+    it("delivers local pub/sub messages and keys between adapters sharing a hub", async () => {
+      const hub = createLocalHub();
+      const a = createLocalPubSub(hub);
+      const b = createLocalPubSub(hub);
+      const received = [];
+      await b.subscribe("instance:b", (msg) => received.push(msg));
+
+      await a.publish("instance:b", { kind: "send", n: 1 });
+      await a.publish("instance:b", { kind: "send", n: 2 });
+      assert.equal(received.length, 0, "delivery must be asynchronous");
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(received.map((m) => m.n), [1, 2]);
+
+      await a.set("session:s1", "a");
+      assert.equal(await b.get("session:s1"), "a");
+      await b.del("session:s1");
+      assert.equal(await a.get("session:s1"), null);
+
+      await a.set("session:s2", "a", 20);
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      assert.equal(await b.get("session:s2"), null, "keys set with a TTL lapse");
+    });
+
+    it("routes joins to the owning instance and relays its sockets", async () => {
+      const standIn = await startRespStandIn();
+      const shared = { PUBSUB_BACKEND: "redis", REDIS_URL: standIn.url, JWT_SECRET: "multi-instance-secret" };
+      const a = await spawnServer({ ...shared, INSTANCE_ID: "inst-a" });
+      const b = await spawnServer({ ...shared, INSTANCE_ID: "inst-b" });
+
+      try {
+        const djToken = await getToken(a.port, "mi_dj", "DJ");
+        const session = await createSession(a.port, djToken);
+        assert.equal(standIn.kv.get(`pirate-radio:session:${session.id}`), "inst-a");
+        assert.ok(standIn.ttls.get(`pirate-radio:session:${session.id}`) > 0, "directory entries must expire");
+
+        // HTTP joins on the wrong instance are bounced to the owner
+        const listenerToken = await getToken(b.port, "mi_listener", "Listener");
+        const auth = { Authorization: `Bearer ${listenerToken}` };
+        const join = await request(b.port, "POST", "/sessions/join", { body: { code: session.joinCode }, headers: auth });
+        assert.equal(join.statusCode, 421);
+        assert.equal(join.headers["fly-replay"], "instance=inst-a");
+        assert.equal(join.body.instance, "inst-a");
+        const byId = await request(b.port, "POST", "/sessions/join-by-id", { body: { sessionId: session.id }, headers: auth });
+        assert.equal(byId.statusCode, 421);
+
+        // A socket that lands on B anyway is relayed to A
+        const dj = await connectWS(a.port, djToken, session.id);
+        await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+        const listener = await connectWS(b.port, listenerToken, session.id);
+        const sync = await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        assert.equal(sync.data.id, session.id);
+        await waitForMessage(dj.messages, (m) => m.type === "memberJoined" && m.data.userId === "mi_listener");
+
+        dj.ws.send(JSON.stringify({ type: "addToQueue", data: { track: { id: "t1", name: "Song", durationMs: 180000 }, nonce: "mi-1" } }));
+        const update = await waitForMessage(listener.messages, (m) => m.type === "queueUpdate");
+        assert.equal(update.data.queue[0].id, "t1");
+
+        listener.ws.close();
+        await waitForMessage(dj.messages, (m) => m.type === "memberLeft" && m.data.userId === "mi_listener");
+        dj.ws.close();
+      } finally {
+        await killServer(a.proc);
+        await killServer(b.proc);
+        standIn.server.close();
+      }
+    });
+
+    it("expires relayed members when their relay instance goes away", async () => {
+      const standIn = await startRespStandIn();
+      const shared = { PUBSUB_BACKEND: "redis", REDIS_URL: standIn.url, JWT_SECRET: "multi-instance-secret" };
+      const a = await spawnServer({ ...shared, INSTANCE_ID: "inst-a", PING_INTERVAL_MS: "300" });
+      const b = await spawnServer({ ...shared, INSTANCE_ID: "inst-b" });
+
+      try {
+        const djToken = await getToken(a.port, "mi_crash_dj", "DJ");
+        const session = await createSession(a.port, djToken);
+        const dj = await connectWS(a.port, djToken, session.id);
+        await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+        const listener = await connectWS(b.port, await getToken(b.port, "mi_crash_listener", "Listener"), session.id);
+        await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+        await waitForMessage(dj.messages, (m) => m.type === "memberJoined" && m.data.userId === "mi_crash_listener");
+
+        // No `closed` event ever comes from a killed relay
+        const exited = once(b.proc, "exit");
+        b.proc.kill("SIGKILL");
+        await exited;
+        const left = await waitForMessage(dj.messages, (m) => m.type === "memberLeft");
+        assert.equal(left.data.userId, "mi_crash_listener");
+        assert.equal(dj.messages.filter((m) => m.type === "memberLeft").length, 1);
+        dj.ws.close();
+      } finally {
+        await killServer(a.proc);
+        await killServer(b.proc);
+        standIn.server.close();
+      }
+    });
+
+    it("closes relayed sockets with 4013 when the owning instance never answers", async () => {
+      const standIn = await startRespStandIn();
+      // A directory entry left behind by an owner that crashed
+      standIn.kv.set("pirate-radio:session:ghost-session", "inst-ghost");
+      const relay = await spawnServer({
+        PUBSUB_BACKEND: "redis", REDIS_URL: standIn.url, JWT_SECRET: "multi-instance-secret",
+        INSTANCE_ID: "inst-relay", PING_INTERVAL_MS: "300",
+      });
+
+      try {
+        const token = await getToken(relay.port, "mi_ghost_listener", "Listener");
+        const client = await connectWS(relay.port, token, "ghost-session");
+        const [code] = await once(client.ws, "close");
+        assert.equal(code, 4013);
+        assert.equal(client.messages.find((m) => m.type === "stateSync"), undefined);
+      } finally {
+        await killServer(relay.proc);
+        standIn.server.close();
+      }
+    });
+
+    it("fails redis commands fast when the broker sends garbage or drops", async () => {
+      const broker = net.createServer((socket) => {
+        socket.on("error", () => {});
+        socket.on("data", () => socket.write("?not resp\r\n"));
+      });
+      broker.listen(0, "127.0.0.1");
+      await once(broker, "listening");
+      const lines = [];
+      const log = createLogger({ sink: { log: (l) => lines.push(l), error: (l) => lines.push(l) } });
+      const bus = createRedisPubSub(`redis://127.0.0.1:${broker.address().port}`, { log });
+
+      try {
+        // An unparseable reply drops the connection instead of crashing the process
+        await assert.rejects(bus.get("k"), /connection lost/);
+        assert.ok(lines.some((l) => l.includes("[pubsub:protocol]")));
+        // Until the reconnect, commands are refused rather than left waiting forever
+        await assert.rejects(bus.get("k"), /reconnecting/);
+      } finally {
+        bus.close();
+        broker.close();
+      }
+    });
+
+    it("answers 404 for sessions no instance owns", async () => {
+      const token = await getToken(PORT, "mi_stray");
+      const res = await request(PORT, "GET", "/sessions/no-such-session", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe("Graceful Shutdown", () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(join(tmpdir(), "pirate-radio-shutdown-"));
+    });
+
+    afterEach(() => {
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("warns listeners, closes with 4013 and keeps the session for the next boot", async () => {
+      const env = { STORE_BACKEND: "file", STORE_PATH: join(dataDir, "state.json"), JWT_SECRET: "shutdown-secret" };
+      let server = await spawnServer(env);
+      const token = await getToken(server.port, "drain_dj", "DrainDJ");
+      const session = await createSession(server.port, token);
+
+      const current = await connectWS(server.port, token, session.id);
+      await waitForMessage(current.messages, (m) => m.type === "stateSync");
+      // Something queued, so the session is more than an empty shell
+      current.ws.send(JSON.stringify({
+        type: "addToQueue",
+        data: { track: { id: "drain_next", name: "Next", durationMs: 60000 }, nonce: "drain-nonce" },
+      }));
+      await waitForMessage(current.messages, (m) => m.type === "queueUpdate");
+      const legacyToken = await getToken(server.port, "drain_legacy");
+      const legacy = await connectWS(server.port, legacyToken, session.id, "&protocol=1");
+      await waitForMessage(legacy.messages, (m) => m.type === "stateSync");
+
+      const closes = [once(current.ws, "close"), once(legacy.ws, "close")];
+      const exited = once(server.proc, "exit");
+      server.proc.kill("SIGTERM");
+
+      const [[currentCode], [legacyCode]] = await Promise.all(closes);
+      assert.equal(currentCode, 4013);
+      assert.equal(legacyCode, 4013);
+      const notice = current.messages.find((m) => m.type === "serverRestarting");
+      assert.ok(notice.data.reconnectAfterMs > 0);
+      assert.ok(!legacy.messages.some((m) => m.type === "serverRestarting"), "protocol 1 clients only see the close code");
+      const [exitCode] = await exited;
+      assert.equal(exitCode, 0);
+
+      server = await spawnServer(env);
+      try {
+        const res = await request(server.port, "GET", `/sessions/${session.id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        assert.equal(res.statusCode, 200, "the drain must not tear the session down");
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("brings an idle station back for its crew to reconnect to", async () => {
+      const env = { STORE_BACKEND: "file", STORE_PATH: join(dataDir, "state.json"), JWT_SECRET: "shutdown-secret" };
+      let server = await spawnServer(env);
+      const token = await getToken(server.port, "drain_idle_dj", "IdleDJ");
+      const session = await createSession(server.port, token);
+      const client = await connectWS(server.port, token, session.id);
+      await waitForMessage(client.messages, (m) => m.type === "stateSync");
+
+      const closed = once(client.ws, "close");
+      const exited = once(server.proc, "exit");
+      server.proc.kill("SIGTERM");
+      const [code] = await closed;
+      assert.equal(code, 4013);
+      await exited;
+
+      server = await spawnServer(env);
+      try {
+        const res = await request(server.port, "GET", `/sessions/${session.id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        assert.equal(res.statusCode, 200, "no queue and nothing playing is no reason to drop it on boot");
+        const back = await connectWS(server.port, token, session.id);
+        await waitForMessage(back.messages, (m) => m.type === "stateSync");
+        back.ws.close();
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+
+    it("exits promptly with nothing connected", async () => {
+      const server = await spawnServer();
+      const startedAt = Date.now();
+      const exited = once(server.proc, "exit");
+      server.proc.kill("SIGTERM");
+      const [exitCode] = await exited;
+      assert.equal(exitCode, 0);
+      assert.ok(Date.now() - startedAt < 2000);
+    });
+  });
+
+  describe("Roles", () => {
+    async function stationWithListener(prefix) {
+      const ownerToken = await getToken(PORT, `${prefix}_owner`, "Owner");
+      const memberToken = await getToken(PORT, `${prefix}_member`, "Member");
+      const session = await createSession(PORT, ownerToken);
+      const owner = await connectWS(PORT, ownerToken, session.id);
+      await waitForMessage(owner.messages, (m) => m.type === "stateSync");
+      const member = await connectWS(PORT, memberToken, session.id);
+      await waitForMessage(member.messages, (m) => m.type === "stateSync");
+      return { session, owner, member, memberId: `${prefix}_member` };
+    }
+
+    it("lets the owner make a co-DJ who can then drive playback", async () => {
+      const { owner, member, memberId } = await stationWithListener("role_co");
+      try {
+        const sync = member.messages.find((m) => m.type === "stateSync");
+        assert.equal(sync.data.members.find((m) => m.userId === memberId).role, "listener");
+        assert.equal(sync.data.members.find((m) => m.userId === "role_co_owner").role, "dj");
+
+        owner.ws.send(JSON.stringify({ type: "setRole", data: { userId: memberId, role: "coDJ" } }));
+        const changed = await waitForMessage(member.messages, (m) => m.type === "roleChanged");
+        assert.deepEqual(changed.data, { userId: memberId, role: "coDJ", changedBy: "role_co_owner" });
+        assert.ok(Number.isInteger(changed.seq));
+
+        member.ws.send(JSON.stringify({ type: "seek", data: { positionMs: 42000 } }));
+        const seek = await waitForMessage(owner.messages, (m) => m.type === "seek");
+        assert.equal(seek.data.positionMs, 42000);
+      } finally {
+        owner.ws.close();
+        member.ws.close();
+      }
+    });
+
+    it("lets a moderator pause but not start playback", async () => {
+      const { owner, member, memberId } = await stationWithListener("role_mod");
+      try {
+        owner.ws.send(JSON.stringify({ type: "setRole", data: { userId: memberId, role: "moderator" } }));
+        await waitForMessage(member.messages, (m) => m.type === "roleChanged");
+
+        member.ws.send(JSON.stringify({ type: "pause", data: {} }));
+        await waitForMessage(owner.messages, (m) => m.type === "pause");
+
+        member.ws.send(JSON.stringify({ type: "playPrepare", data: { trackId: "t1" } }));
+        const error = await waitForMessage(member.messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "NOT_ALLOWED");
+        assert.equal(error.data.messageType, "playPrepare");
+      } finally {
+        owner.ws.close();
+        member.ws.close();
+      }
+    });
+
+    it("reserves setRole for the owner and leaves the DJ's role alone", async () => {
+      const { owner, member, memberId } = await stationWithListener("role_deny");
+      try {
+        member.ws.send(JSON.stringify({ type: "setRole", data: { userId: memberId, role: "moderator" } }));
+        const denied = await waitForMessage(member.messages, (m) => m.type === "error");
+        assert.equal(denied.data.code, "NOT_ALLOWED");
+
+        owner.ws.send(JSON.stringify({ type: "setRole", data: { userId: "role_deny_owner", role: "listener" } }));
+        const djError = await waitForMessage(owner.messages, (m) => m.type === "error");
+        assert.equal(djError.data.code, "NOT_ALLOWED");
+
+        owner.ws.send(JSON.stringify({ type: "setRole", data: { userId: memberId, role: "superuser" } }));
+        await waitForMessage(owner.messages, (m) => m.type === "error" && m.data.code === "INVALID_PAYLOAD");
+        assert.ok(!member.messages.some((m) => m.type === "roleChanged"));
+      } finally {
+        owner.ws.close();
+        member.ws.close();
+      }
+    });
+  });
+
+  describe("DJ Handoff", () => {
+    async function stationWithListener(port, prefix) {
+      const djToken = await getToken(port, `${prefix}_dj`, "DJ");
+      const listenerToken = await getToken(port, `${prefix}_listener`, "Listener");
+      const session = await createSession(port, djToken);
+      const dj = await connectWS(port, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(port, listenerToken, session.id);
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+      return { dj, listener, djId: `${prefix}_dj`, listenerId: `${prefix}_listener` };
+    }
+
+    it("hands the aux to a named member with a new epoch", async () => {
+      const { dj, listener, djId, listenerId } = await stationWithListener(PORT, "handoff_tx");
+      try {
+        const epochBefore = listener.messages.find((m) => m.type === "stateSync").epoch;
+        dj.ws.send(JSON.stringify({ type: "transferDJ", data: { userId: listenerId } }));
+
+        const changed = await waitForMessage(listener.messages, (m) => m.type === "djChanged");
+        assert.equal(changed.data.previousDjUserId, djId);
+        assert.equal(changed.data.djUserId, listenerId);
+        assert.equal(changed.data.reason, "transfer");
+        assert.equal(changed.epoch, epochBefore + 1);
+        const sync = await waitForMessage(listener.messages, (m) => m.type === "stateSync" && m.epoch === changed.epoch);
+        assert.equal(sync.data.djUserId, listenerId);
+
+        dj.ws.send(JSON.stringify({ type: "pause", data: {} }));
+        const error = await waitForMessage(dj.messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "NOT_ALLOWED");
+        listener.ws.send(JSON.stringify({ type: "pause", data: {} }));
+        await waitForMessage(dj.messages, (m) => m.type === "pause");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("lets a listener request the aux and the DJ approve it", async () => {
+      const { dj, listener, listenerId } = await stationWithListener(PORT, "handoff_req");
+      try {
+        listener.ws.send(JSON.stringify({ type: "requestDJ", data: {} }));
+        const request = await waitForMessage(dj.messages, (m) => m.type === "djRequest");
+        assert.equal(request.data.userId, listenerId);
+        assert.ok(request.data.expiresAt > Date.now());
+
+        dj.ws.send(JSON.stringify({ type: "approveDJRequest", data: { userId: listenerId } }));
+        const resolved = await waitForMessage(listener.messages, (m) => m.type === "djRequestResolved");
+        assert.equal(resolved.data.outcome, "approved");
+        const changed = await waitForMessage(dj.messages, (m) => m.type === "djChanged");
+        assert.equal(changed.data.djUserId, listenerId);
+        assert.equal(changed.data.reason, "request");
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+
+    it("declines requests the DJ denies or leaves unanswered", async () => {
+      const server = await spawnServer({ DJ_REQUEST_TIMEOUT_MS: "300" });
+      const { dj, listener, listenerId } = await stationWithListener(server.port, "handoff_deny");
+      try {
+        listener.ws.send(JSON.stringify({ type: "requestDJ", data: {} }));
+        await waitForMessage(dj.messages, (m) => m.type === "djRequest");
+        dj.ws.send(JSON.stringify({ type: "denyDJRequest", data: { userId: listenerId } }));
+        const denied = await waitForMessage(listener.messages, (m) => m.type === "djRequestResolved");
+        assert.equal(denied.data.outcome, "denied");
+
+        listener.ws.send(JSON.stringify({ type: "requestDJ", data: {} }));
+        const expired = await waitForMessage(dj.messages,
+          (m) => m.type === "djRequestResolved" && m.data.outcome === "timeout");
+        assert.equal(expired.data.userId, listenerId);
+        assert.ok(!dj.messages.some((m) => m.type === "djChanged"));
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  describe("Kick and Ban", () => {
+    it("kicks a listener with 4011 and lets them back after a cooldown", async () => {
+      const server = await spawnServer({ KICK_COOLDOWN_MS: "500" });
+      const djToken = await getToken(server.port, "kick_dj", "KickDJ");
+      const listenerToken = await getToken(server.port, "kick_listener", "KickListener");
+      const session = await createSession(server.port, djToken);
+      const dj = await connectWS(server.port, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(server.port, listenerToken, session.id);
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+
+      try {
+        const closed = once(listener.ws, "close");
+        dj.ws.send(JSON.stringify({ type: "kickMember", data: { userId: "kick_listener" } }));
+        const [code] = await closed;
+        assert.equal(code, 4011);
+        const kicked = await waitForMessage(dj.messages, (m) => m.type === "memberKicked");
+        assert.deepEqual(kicked.data, { userId: "kick_listener", banned: false, by: "kick_dj" });
+        await waitForMessage(dj.messages, (m) => m.type === "memberLeft" && m.data.userId === "kick_listener");
+
+        // An immediate auto-reconnect doesn't undo the kick
+        await assert.rejects(connectWS(server.port, listenerToken, session.id), /403/);
+        const byId = await request(server.port, "POST", "/sessions/join-by-id", {
+          body: { sessionId: session.id }, headers: { Authorization: `Bearer ${listenerToken}` },
+        });
+        assert.equal(byId.statusCode, 403);
+
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        const again = await connectWS(server.port, listenerToken, session.id);
+        await waitForMessage(again.messages, (m) => m.type === "stateSync");
+        again.ws.close();
+      } finally {
+        dj.ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("keeps a banned member out of every way back in", async () => {
+      const server = await spawnServer();
+      const djToken = await getToken(server.port, "ban_dj", "BanDJ");
+      const listenerToken = await getToken(server.port, "ban_listener", "BanListener");
+      const auth = { Authorization: `Bearer ${listenerToken}` };
+      const session = await createSession(server.port, djToken);
+      const dj = await connectWS(server.port, djToken, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      const listener = await connectWS(server.port, listenerToken, session.id);
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+
+      try {
+        const closed = once(listener.ws, "close");
+        dj.ws.send(JSON.stringify({ type: "kickMember", data: { userId: "ban_listener", ban: true } }));
+        const [code] = await closed;
+        assert.equal(code, 4014);
+
+        const byCode = await request(server.port, "POST", "/sessions/join", { body: { code: session.joinCode }, headers: auth });
+        assert.equal(byCode.statusCode, 403);
+        const byId = await request(server.port, "POST", "/sessions/join-by-id", { body: { sessionId: session.id }, headers: auth });
+        assert.equal(byId.statusCode, 403);
+        await assert.rejects(connectWS(server.port, listenerToken, session.id), /403/);
+
+        dj.ws.send(JSON.stringify({ type: "unbanMember", data: { userId: "ban_listener" } }));
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        const rejoin = await request(server.port, "POST", "/sessions/join-by-id", { body: { sessionId: session.id }, headers: auth });
+        assert.equal(rejoin.statusCode, 200);
+      } finally {
+        dj.ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("limits kicking to the DJ, moderators and the owner", async () => {
+      const djToken = await getToken(PORT, "kickperm_dj", "Owner");
+      const modToken = await getToken(PORT, "kickperm_mod", "Mod");
+      const listenerToken = await getToken(PORT, "kickperm_listener", "Listener");
+      const session = await createSession(PORT, djToken);
+      const dj = await connectWS(PORT, djToken, session.id);
+      const mod = await connectWS(PORT, modToken, session.id);
+      const listener = await connectWS(PORT, listenerToken, session.id);
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+
+      try {
+        listener.ws.send(JSON.stringify({ type: "kickMember", data: { userId: "kickperm_mod" } }));
+        const denied = await waitForMessage(listener.messages, (m) => m.type === "error");
+        assert.equal(denied.data.code, "NOT_ALLOWED");
+
+        dj.ws.send(JSON.stringify({ type: "setRole", data: { userId: "kickperm_mod", role: "moderator" } }));
+        await waitForMessage(mod.messages, (m) => m.type === "roleChanged");
+        mod.ws.send(JSON.stringify({ type: "kickMember", data: { userId: "kickperm_dj" } }));
+        const ownerError = await waitForMessage(mod.messages, (m) => m.type === "error");
+        assert.equal(ownerError.data.code, "NOT_ALLOWED");
+
+        const closed = once(listener.ws, "close");
+        mod.ws.send(JSON.stringify({ type: "kickMember", data: { userId: "kickperm_listener" } }));
+        const [code] = await closed;
+        assert.equal(code, 4011);
+      } finally {
+        dj.ws.close();
+        mod.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  describe("Station Visibility", () => {
+    const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+    /** Queue a track so the station is live enough to show on a dial */
+    async function goLive(port, token, sessionId) {
+      const dj = await connectWS(port, token, sessionId);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      dj.ws.send(JSON.stringify({
+        type: "addToQueue",
+        data: { track: { id: "vis_track", name: "Track", durationMs: 60000 }, nonce: `vis-${sessionId}` },
+      }));
+      await waitForMessage(dj.messages, (m) => m.type === "queueUpdate");
+      return dj;
+    }
+
+    it("keeps private stations off the dial and reachable only by code", async () => {
+      const server = await spawnServer();
+      const djToken = await getToken(server.port, "vis_priv_dj", "PrivDJ");
+      const guestToken = await getToken(server.port, "vis_priv_guest", "Guest");
+      const session = await createSession(server.port, djToken, { visibility: "private" });
+      assert.equal(session.visibility, "private");
+      const dj = await goLive(server.port, djToken, session.id);
+
+      try {
+        const stations = await request(server.port, "GET", "/stations", { headers: bearer(guestToken) });
+        assert.ok(!stations.body.stations.some((st) => st.sessionId === session.id));
+
+        const byId = await request(server.port, "POST", "/sessions/join-by-id", {
+          body: { sessionId: session.id }, headers: bearer(guestToken),
+        });
+        assert.equal(byId.statusCode, 403);
+        await assert.rejects(connectWS(server.port, guestToken, session.id), /403/);
+
+        const byCode = await request(server.port, "POST", "/sessions/join", {
+          body: { code: session.joinCode }, headers: bearer(guestToken),
+        });
+        assert.equal(byCode.statusCode, 200);
+        const guest = await connectWS(server.port, guestToken, session.id);
+        await waitForMessage(guest.messages, (m) => m.type === "stateSync");
+        guest.ws.close();
+      } finally {
+        dj.ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("asks for the passcode on passcode stations", async () => {
+      const djToken = await getToken(PORT, "vis_pass_dj", "PassDJ");
+      const guestToken = await getToken(PORT, "vis_pass_guest", "Guest");
+      const bad = await request(PORT, "POST", "/sessions", {
+        body: { visibility: "passcode", passcode: "no" }, headers: bearer(djToken),
+      });
+      assert.equal(bad.statusCode, 400);
+
+      const session = await createSession(PORT, djToken, { visibility: "passcode", passcode: "treasure" });
+      const dj = await goLive(PORT, djToken, session.id);
+      const join = (passcode) => request(PORT, "POST", "/sessions/join-by-id", {
+        body: { sessionId: session.id, passcode }, headers: bearer(guestToken),
+      });
+
+      try {
+        const stations = await request(PORT, "GET", "/stations", { headers: bearer(guestToken) });
+        assert.equal(stations.body.stations.find((st) => st.sessionId === session.id).visibility, "passcode");
+
+        const missing = await join(undefined);
+        assert.equal(missing.statusCode, 403);
+        assert.equal(missing.body.passcodeRequired, true);
+        assert.equal((await join("wrong-one")).statusCode, 403);
+        assert.equal((await join("treasure")).statusCode, 200);
+
+        const guest = await connectWS(PORT, guestToken, session.id);
+        await waitForMessage(guest.messages, (m) => m.type === "stateSync");
+        guest.ws.close();
+      } finally {
+        dj.ws.close();
+      }
+    });
+
+    it("stops passcode guessing after a few wrong tries", async () => {
+      const djToken = await getToken(PORT, "vis_guess_dj", "GuessDJ");
+      const guestToken = await getToken(PORT, "vis_guess_guest", "Guesser");
+      const session = await createSession(PORT, djToken, { visibility: "passcode", passcode: "1234" });
+      const join = (passcode) => request(PORT, "POST", "/sessions/join-by-id", {
+        body: { sessionId: session.id, passcode }, headers: bearer(guestToken),
+      });
+
+      for (const guess of ["0000", "0001", "0002", "0003", "0004"]) {
+        assert.equal((await join(guess)).statusCode, 403);
+      }
+      // Even the right passcode waits out the window now
+      const locked = await join("1234");
+      assert.equal(locked.statusCode, 429);
+    });
+
+    it("lets the owner lock a live station without dropping its crew", async () => {
+      const djToken = await getToken(PORT, "vis_live_dj", "LiveDJ");
+      const crewToken = await getToken(PORT, "vis_live_crew", "Crew");
+      const lateToken = await getToken(PORT, "vis_live_late", "Late");
+      const session = await createSession(PORT, djToken);
+      const dj = await goLive(PORT, djToken, session.id);
+      const crew = await connectWS(PORT, crewToken, session.id);
+      await waitForMessage(crew.messages, (m) => m.type === "stateSync");
+
+      try {
+        crew.ws.send(JSON.stringify({ type: "setVisibility", data: { visibility: "private" } }));
+        const denied = await waitForMessage(crew.messages, (m) => m.type === "error");
+        assert.equal(denied.data.code, "NOT_ALLOWED");
+
+        dj.ws.send(JSON.stringify({ type: "setVisibility", data: { visibility: "private" } }));
+        const changed = await waitForMessage(crew.messages, (m) => m.type === "visibilityChanged");
+        assert.equal(changed.data.visibility, "private");
+
+        const late = await request(PORT, "POST", "/sessions/join-by-id", {
+          body: { sessionId: session.id }, headers: bearer(lateToken),
+        });
+        assert.equal(late.statusCode, 403);
+
+        crew.ws.close();
+        const back = await connectWS(PORT, crewToken, session.id);
+        await waitForMessage(back.messages, (m) => m.type === "stateSync");
+        assert.equal(back.messages.find((m) => m.type === "stateSync").data.visibility, "private");
+        back.ws.close();
+      } finally {
+        dj.ws.close();
+      }
+    });
+  });
+
+  describe("Join Code Lifecycle", () => {
+    it("lets the owner swap in a fresh code and retires the old one", async () => {
+      const server = await spawnServer();
+      const ownerToken = await getToken(server.port, "code_owner", "Owner");
+      const guestToken = await getToken(server.port, "code_guest", "Guest");
+      const session = await createSession(server.port, ownerToken);
+      const owner = await connectWS(server.port, ownerToken, session.id);
+      const guest = await connectWS(server.port, guestToken, session.id);
+      await waitForMessage(guest.messages, (m) => m.type === "stateSync");
+
+      try {
+        guest.ws.send(JSON.stringify({ type: "regenerateCode", data: {} }));
+        const denied = await waitForMessage(guest.messages, (m) => m.type === "error");
+        assert.equal(denied.data.code, "NOT_ALLOWED");
+
+        owner.ws.send(JSON.stringify({ type: "regenerateCode", data: {} }));
+        const changed = await waitForMessage(guest.messages, (m) => m.type === "joinCodeChanged");
+        assert.notEqual(changed.data.joinCode, session.joinCode);
+        assert.ok(changed.data.codeExpiresAt > Date.now());
+
+        const auth = { Authorization: `Bearer ${guestToken}` };
+        const stale = await request(server.port, "POST", "/sessions/join", { body: { code: session.joinCode }, headers: auth });
+        assert.equal(stale.statusCode, 404);
+        const fresh = await request(server.port, "POST", "/sessions/join", { body: { code: changed.data.joinCode }, headers: auth });
+        assert.equal(fresh.statusCode, 200);
+      } finally {
+        owner.ws.close();
+        guest.ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("warns, then rotates the code of a live station before it expires", async () => {
+      const server = await spawnServer({ CODE_EXPIRY_MS: "2000" });
+      const token = await getToken(server.port, "code_auto", "Auto");
+      const session = await createSession(server.port, token);
+      const { ws, messages } = await connectWS(server.port, token, session.id);
+
+      try {
+        const sync = await waitForMessage(messages, (m) => m.type === "stateSync");
+        const warning = await waitForMessage(messages, (m) => m.type === "joinCodeExpiring");
+        assert.equal(warning.data.joinCode, session.joinCode);
+        assert.equal(warning.data.codeExpiresAt, sync.data.codeExpiresAt);
+        assert.ok(warning.data.rotatesAt < warning.data.codeExpiresAt);
+
+        const changed = await waitForMessage(messages, (m) => m.type === "joinCodeChanged");
+        assert.ok(Date.now() < sync.data.codeExpiresAt, "rotation should land before the old code lapses");
+        assert.notEqual(changed.data.joinCode, session.joinCode);
+      } finally {
+        ws.close();
+        await killServer(server.proc);
+      }
+    });
+
+    it("issues longer case-insensitive alphanumeric codes on request", async () => {
+      const server = await spawnServer();
+      const token = await getToken(server.port, "code_alpha", "Alpha");
+      const auth = { Authorization: `Bearer ${token}` };
+
+      try {
+        const bad = await request(server.port, "POST", "/sessions", { body: { codeFormat: "emoji" }, headers: auth });
+        assert.equal(bad.statusCode, 400);
+
+        const session = await createSession(server.port, token, { codeFormat: "alphanumeric" });
+        assert.match(session.joinCode, /^[A-HJKMNP-Z2-9]{8}$/);
+        const join = await request(server.port, "POST", "/sessions/join", {
+          body: { code: session.joinCode.toLowerCase() }, headers: auth,
+        });
+        assert.equal(join.statusCode, 200);
+        assert.equal(join.body.id, session.id);
+      } finally {
+        await killServer(server.proc);
+      }
+    });
+  });
+
+  describe("Queue Editing", () => {
+    const track = (id) => ({ id, name: id, durationMs: 60000 });
+
+    /** DJ socket with tracks queued under nonces q-a, q-b, … in that order */
+    async function queuedStation(prefix, trackIds) {
+      const token = await getToken(PORT, `${prefix}_dj`, "DJ");
+      const session = await createSession(PORT, token);
+      const dj = await connectWS(PORT, token, session.id);
+      await waitForMessage(dj.messages, (m) => m.type === "stateSync");
+      for (const id of trackIds) {
+        dj.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track(id), nonce: `q-${id}` } }));
+      }
+      await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === trackIds.length);
+      return { session, dj };
+    }
+
+    /** Send one edit and return the queue order from the queueUpdate it caused */
+    async function edit(dj, message) {
+      const seen = dj.messages.filter((m) => m.type === "queueUpdate").length;
+      dj.ws.send(JSON.stringify(message));
+      await waitForMessage(dj.messages, () => dj.messages.filter((m) => m.type === "queueUpdate").length > seen);
+      const updates = dj.messages.filter((m) => m.type === "queueUpdate");
+      assert.equal(updates.length, seen + 1, "one edit, one queueUpdate");
+      return updates.at(-1).data.queue.map((t) => t.nonce);
+    }
+
+    it("moves entries by nonce and inserts play-next tracks at the head", async () => {
+      const { dj } = await queuedStation("qedit_move", ["a", "b", "c"]);
+      try {
+        assert.deepEqual(await edit(dj, { type: "moveInQueue", data: { nonce: "q-c", toIndex: 0 } }), ["q-c", "q-a", "q-b"]);
+        assert.deepEqual(await edit(dj, { type: "moveInQueue", data: { nonce: "q-c", toIndex: 2 } }), ["q-a", "q-b", "q-c"]);
+        assert.deepEqual(
+          await edit(dj, { type: "playNext", data: { track: track("now"), nonce: "q-now" } }),
+          ["q-now", "q-a", "q-b", "q-c"],
+        );
+
+        dj.ws.send(JSON.stringify({ type: "moveInQueue", data: { nonce: "q-a", toIndex: 9 } }));
+        const error = await waitForMessage(dj.messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "INVALID_PAYLOAD");
+      } finally {
+        dj.ws.close();
+      }
+    });
+
+    it("removes a single copy by nonce and clears the whole queue", async () => {
+      const { dj } = await queuedStation("qedit_remove", ["a", "b"]);
+      try {
+        await edit(dj, { type: "addToQueue", data: { track: track("a"), nonce: "q-a2" } });
+        assert.deepEqual(await edit(dj, { type: "removeFromQueue", data: { nonce: "q-a" } }), ["q-b", "q-a2"]);
+        assert.deepEqual(await edit(dj, { type: "clearQueue", data: {} }), []);
+      } finally {
+        dj.ws.close();
+      }
+    });
+
+    it("keeps reordering and clearing away from listeners", async () => {
+      const { session, dj } = await queuedStation("qedit_perm", ["a", "b"]);
+      const listenerToken = await getToken(PORT, "qedit_perm_listener", "Listener");
+      const listener = await connectWS(PORT, listenerToken, session.id);
+      await waitForMessage(listener.messages, (m) => m.type === "stateSync");
+      try {
+        listener.ws.send(JSON.stringify({ type: "moveInQueue", data: { nonce: "q-b", toIndex: 0 } }));
+        listener.ws.send(JSON.stringify({ type: "clearQueue", data: {} }));
+        await waitForMessage(listener.messages, () => listener.messages.filter((m) => m.type === "error").length === 2);
+        const errors = listener.messages.filter((m) => m.type === "error");
+        assert.deepEqual(errors.map((e) => e.data.code), ["NOT_ALLOWED", "NOT_ALLOWED"]);
+        assert.equal(dj.messages.filter((m) => m.type === "queueUpdate").length, 2);
+      } finally {
+        dj.ws.close();
+        listener.ws.close();
+      }
+    });
+  });
+
+  describe("Fair Queue", () => {
+    const track = (id) => ({ id, name: id, durationMs: 60000 });
+
+    /** Collaborative station with a DJ and two listeners, all past their stateSync */
+    async function sharedStation(prefix, body = {}) {
+      const djToken = await getToken(PORT, `${prefix}_dj`, "DJ");
+      const session = await createSession(PORT, djToken, { djMode: "collaborative", ...body });
+      const dj = await connectWS(PORT, djToken, session.id);
+      const ann = await connectWS(PORT, await getToken(PORT, `${prefix}_ann`, "Ann"), session.id);
+      const bob = await connectWS(PORT, await getToken(PORT, `${prefix}_bob`, "Bob"), session.id);
+      for (const client of [dj, ann, bob]) await waitForMessage(client.messages, (m) => m.type === "stateSync");
+      return { session, dj, ann, bob };
+    }
+
+    it("interleaves upcoming tracks round-robin by who added them", async () => {
+      const { session, dj, ann, bob } = await sharedStation("fair_order", { fairQueue: true });
+      assert.equal(session.fairQueue, true);
+      try {
+        for (const id of ["a1", "a2", "a3"]) {
+          ann.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track(id), nonce: id } }));
+        }
+        await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === 3);
+        bob.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track("b1"), nonce: "b1" } }));
+        const update = await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === 4);
+        assert.deepEqual(update.data.queue.map((t) => t.nonce), ["a1", "b1", "a2", "a3"]);
+
+        dj.ws.send(JSON.stringify({ type: "removeFromQueue", data: { nonce: "a1" } }));
+        const removed = await waitForMessage(
+          dj.messages,
+          (m) => m.type === "queueUpdate" && m.data.queue.length === 3 && !m.data.queue.some((t) => t.nonce === "a1"),
+        );
+        assert.deepEqual(removed.data.queue.map((t) => t.nonce), ["a2", "b1", "a3"]);
+      } finally {
+        for (const client of [dj, ann, bob]) client.ws.close();
+      }
+    });
+
+    it("caps how many tracks a listener can have waiting", async () => {
+      const { dj, ann } = await sharedStation("fair_cap", { maxPendingPerMember: 2 });
+      try {
+        for (const id of ["a1", "a2", "a3"]) {
+          ann.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track(id), nonce: id } }));
+        }
+        const error = await waitForMessage(ann.messages, (m) => m.type === "error");
+        assert.equal(error.data.code, "QUEUE_FULL");
+
+        // The DJ curates past the cap
+        for (const id of ["d1", "d2", "d3"]) {
+          dj.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track(id), nonce: id } }));
+        }
+        await waitForMessage(dj.messages, (m) => m.type === "queueUpdate" && m.data.queue.length === 5);
+      } finally {
+        dj.ws.close();
+        ann.ws.close();
+      }
+    });
+
+    it("lets only the DJ change the queue policy", async () => {
+      const { dj, ann, bob } = await sharedStation("fair_policy");
+      try {
+        ann.ws.send(JSON.stringify({ type: "setQueuePolicy", data: { fairQueue: true } }));
+        const denied = await waitForMessage(ann.messages, (m) => m.type === "error");
+        assert.equal(denied.data.code, "NOT_ALLOWED");
+
+        dj.ws.send(JSON.stringify({ type: "setQueuePolicy", data: { fairQueue: true, maxPendingPerMember: 3 } }));
+        const changed = await waitForMessage(bob.messages, (m) => m.type === "queuePolicyChanged");
+        assert.equal(changed.data.fairQueue, true);
+        assert.equal(changed.data.maxPendingPerMember, 3);
+
+        dj.ws.send(JSON.stringify({ type: "playNext", data: { track: track("x"), nonce: "x" } }));
+        const refused = await waitForMessage(dj.messages, (m) => m.type === "error");
+        assert.equal(refused.data.code, "NOT_ALLOWED");
+      } finally {
+        for (const client of [dj, ann, bob]) client.ws.close();
+      }
+    });
+
+    it("sends the fair order as a queueUpdate when the policy changes", async () => {
+      const { session, dj, ann, bob } = await sharedStation("fair_switch");
+      const legacy = await connectWS(PORT, await getToken(PORT, "fair_switch_legacy", "Legacy"), session.id, "&protocol=1");
+      await waitForMessage(legacy.messages, (m) => m.type === "stateSync");
+      try {
+        for (const [client, id] of [[ann, "a1"], [ann, "a2"], [bob, "b1"]]) {
+          client.ws.send(JSON.stringify({ type: "addToQueue", data: { track: track(id), nonce: id } }));
+          await waitForMessage(legacy.messages, (m) => m.type === "queueUpdate" && m.data.queue.some((t) => t.nonce === id));
+        }
+
+        dj.ws.send(JSON.stringify({ type: "setQueuePolicy", data: { fairQueue: true } }));
+        const update = await waitForMessage(
+          legacy.messages,
+          (m) => m.type === "queueUpdate" && m.data.queue.map((t) => t.nonce).join() === "a1,b1,a2",
+        );
+        assert.ok(update);
+        const changed = await waitForMessage(bob.messages, (m) => m.type === "queuePolicyChanged");
+        assert.equal(changed.data.queue, undefined);
+      } finally {
+        for (const client of [dj, ann, bob, legacy]) client.ws.close();
+      }
+    });
+  });
 });